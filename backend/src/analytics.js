@@ -0,0 +1,155 @@
+import uuid from 'uuid';
+
+import {
+    validate,
+    string,
+    integer,
+    boolean,
+    oneOf,
+    array
+} from './validation';
+
+const eventTypes = ['run_started', 'run_ended', 'pause', 'mute', 'asset_failed'];
+
+// Events arrive in batches, each one tagged with the run it happened in
+const eventsSchema = {
+    body: {
+        events: array({
+            max: 100,
+            items: {
+                type: oneOf(eventTypes),
+                run: string({ max: 64, pattern: /^[\w-]+$/, optional: true }),
+                time: integer({ min: 0 }),
+                duration: integer({ min: 0, optional: true }),
+                score: integer({ min: 0, optional: true }),
+                paused: boolean({ optional: true }),
+                muted: boolean({ optional: true }),
+                asset: string({ max: 256, optional: true }),
+            },
+        }),
+    },
+};
+
+const summarySchema = {
+    query: {
+        since: integer({ min: 0, coerce: true, fallback: 0 }),
+        bucket: integer({ min: 1, coerce: true, fallback: 10 }),
+    },
+};
+
+// Runs without an end this long (in seconds) after they started count as
+// abandoned, anything newer might still be going
+const abandonAfter = 60 * 60;
+
+// Summaries are recalculated at most this often (in ms)
+const summaryTtl = 60 * 1000;
+
+const median = (values) => {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Count scores into buckets of `size`, e.g. 0-9, 10-19, ...
+const histogram = (scores, size) => {
+    const counts = new Map();
+    scores.forEach((score) => {
+        const from = Math.floor(score / size) * size;
+        counts.set(from, (counts.get(from) || 0) + 1);
+    });
+
+    return Array.from(counts.keys())
+        .sort((a, b) => a - b)
+        .map(from => ({ from, to: from + size - 1, count: counts.get(from) }));
+};
+
+// Aggregate events into what we need to tune the game. Times are in
+// seconds, events themselves carry milliseconds from the client clock.
+const summarize = (events, bucket) => {
+    const started = new Map();
+    const ended = new Map();
+    const counts = {};
+
+    events.forEach((event) => {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+        if (event.type === 'run_started' && event.run) {
+            started.set(event.run, event);
+        }
+        if (event.type === 'run_ended' && event.run) {
+            ended.set(event.run, event);
+        }
+    });
+
+    const runs = Array.from(ended.values());
+    const cutoff = Date.now() - abandonAfter * 1000;
+    const settled = Array.from(started.values()).filter(event => event.time < cutoff);
+    const abandoned = settled.filter(event => !ended.has(event.run));
+
+    return {
+        runs: started.size,
+        finished: ended.size,
+        abandonedRate: settled.length ? abandoned.length / settled.length : null,
+        medianDuration: median(runs.map(event => event.duration).filter(d => d !== undefined)),
+        medianScore: median(runs.map(event => event.score).filter(s => s !== undefined)),
+        scores: histogram(runs.map(event => event.score).filter(s => s !== undefined), bucket),
+        events: counts,
+    };
+};
+
+// Gameplay analytics. The game sends what happens during runs in batches,
+// and the summary turns them into numbers for tuning gameSpeed, playerSize
+// and obstacleSize.
+export default function (app, storage) {
+    let cache = null;
+
+    app.post('/analytics', validate(eventsSchema), async (req, res) => {
+        const { events } = req.body;
+
+        // a batch is stored as one record to keep writes down
+        await storage.set('analytics', uuid.v4(), {
+            events,
+            receivedAt: Math.round(Date.now() / 1000),
+        });
+
+        // keep the cached events current without reloading them all
+        if (cache) {
+            cache.events.push(...events);
+        }
+
+        res.status(200).json({
+            success: true,
+            received: events.length,
+        });
+    });
+
+    app.get('/analytics/summary', validate(summarySchema), async (req, res) => {
+        const { since, bucket } = req.query;
+
+        if (!cache || Date.now() - cache.time > summaryTtl) {
+            const batches = await storage.get('analytics');
+            const all = [];
+            batches.forEach((batch) => {
+                (batch.events || []).forEach(event => all.push(event));
+            });
+            cache = {
+                time: Date.now(),
+                events: all,
+            };
+        }
+
+        const events = since ?
+            cache.events.filter(event => event.time >= since * 1000) :
+            cache.events;
+
+        res.status(200).json({
+            success: true,
+            since,
+            bucket,
+            ...summarize(events, bucket),
+        });
+    });
+}
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+import { sendError } from './errors';
+
+// Route middleware for admin only routes. Requests have to send the
+// ADMIN_TOKEN from the environment as a bearer token, and every admin
+// route is refused while no token is configured.
+export const requireAdmin = (req, res, next) => {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        sendError(res, 403, 'admin_disabled', 'Admin routes are disabled, set ADMIN_TOKEN to enable them');
+        return;
+    }
+
+    const [scheme, sent = ''] = (req.get('Authorization') || '').split(' ');
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(sent).digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, actual)) {
+        sendError(res, 401, 'unauthorized', 'A valid admin token is required');
+        return;
+    }
+
+    next();
+};
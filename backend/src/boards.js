@@ -0,0 +1,146 @@
+import LeaderboardIndex from './leaderboardIndex';
+import createStream from './stream';
+
+// Boards that scores can be saved to, from LEADERBOARD_BOARDS as a comma
+// separated list. Each game mode or difficulty should get its own board
+// so scores stay comparable. The default board always exists.
+export const defaultBoard = 'default';
+
+// Names that would clash with the leaderboard routes
+const reservedBoards = ['save', 'stream', 'around'];
+
+export const isValidBoardName = name => /^[a-z0-9-]{1,40}$/.test(name) && !reservedBoards.includes(name);
+
+const configuredBoards = (process.env.LEADERBOARD_BOARDS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== defaultBoard);
+
+configuredBoards.forEach((name) => {
+    if (!isValidBoardName(name)) {
+        throw new Error(`Invalid board name "${name}" in LEADERBOARD_BOARDS`);
+    }
+});
+
+// The default board keeps the original collection names
+const collectionsFor = name => (name === defaultBoard ?
+    { records: 'leaderboard', history: 'leaderboardHistory' } :
+    { records: `leaderboard-${name}`, history: `leaderboardHistory-${name}` });
+
+// Keeps every board's collections, index and live update stream. Reads
+// are served from the index, which is built from storage when the board
+// is added and kept up to date by every route that changes the board.
+// Boards can also be added while running, e.g. for seasons.
+//
+// Every board that was ever served is also listed in the `boards`
+// collection, so boards that aren't served anymore, like past days or
+// seasons from before a restart, can still be found by their collections.
+export default function createBoards(storage) {
+    const boards = new Map();
+    const redirects = new Map();
+    const registered = new Set();
+    const removedListeners = [];
+
+    const register = (name) => {
+        if (!registered.has(name)) {
+            registered.add(name);
+            storage.set('boards', name, { addedAt: Math.round(Date.now() / 1000) })
+                .catch((err) => {
+                    registered.delete(name);
+                    console.error(err);
+                });
+        }
+    };
+
+    const add = (name) => {
+        register(name);
+        if (!boards.has(name)) {
+            const collections = collectionsFor(name);
+            const index = new LeaderboardIndex();
+            const board = {
+                name,
+                collections,
+                index,
+                indexReady: () => index.build(() => storage.get(collections.records)),
+                stream: createStream(),
+            };
+
+            board.indexReady().catch(err => console.error(err));
+            boards.set(name, board);
+        }
+
+        return boards.get(name);
+    };
+
+    [defaultBoard].concat(configuredBoards).forEach(add);
+
+    // Stop serving a board, e.g. a past day's daily board. Its records
+    // stay in storage.
+    const remove = (name) => {
+        const board = boards.get(name);
+        if (board) {
+            board.stream.close();
+            boards.delete(name);
+            redirects.delete(name);
+        }
+    };
+
+    // Every board ever served, whether it is served now or not,
+    // as { name, collections }
+    const everyBoard = async () => {
+        const stored = await storage.get('boards');
+        const names = new Set(stored.map(r => r._id).concat(Array.from(boards.keys())));
+        return Array.from(names).map(name => ({ name, collections: collectionsFor(name) }));
+    };
+
+    return {
+        add,
+        remove,
+        get: name => boards.get(name),
+        all: () => Array.from(boards.values()),
+        everyBoard,
+
+        // Collections of a board by name, also when it isn't served
+        // anymore. Resolves to null for boards that never existed.
+        collectionsOf: async (name) => {
+            if (boards.has(name)) {
+                return boards.get(name).collections;
+            }
+            const stored = await storage.get('boards');
+            return stored.some(r => r._id === name) ? collectionsFor(name) : null;
+        },
+
+        // Let other parts know when a player removes a record, e.g. so
+        // seasons can take it out of their archived standings
+        onRecordRemoved: (listener) => { removedListeners.push(listener); },
+        recordRemoved: (name, record) => Promise.all(removedListeners.map(listener => listener(name, record))),
+
+        // Send saves meant for one board to another one between start and
+        // end (unix seconds), e.g. to a season's board while the season
+        // runs. A board can have several redirects for different times.
+        redirectSaves: (from, to, { start, end }) => {
+            if (!redirects.has(from)) {
+                redirects.set(from, new Map());
+            }
+            redirects.get(from).set(to, { start, end });
+        },
+        stopRedirect: (from, to) => {
+            const targets = redirects.get(from);
+            if (targets) {
+                targets.delete(to);
+                if (targets.size === 0) {
+                    redirects.delete(from);
+                }
+            }
+        },
+        saveTarget: (board, time = Math.round(Date.now() / 1000)) => {
+            const targets = redirects.get(board.name) || new Map();
+            for (const [to, { start, end }] of targets) {
+                if (start <= time && time < end) {
+                    return add(to);
+                }
+            }
+            return board;
+        },
+    };
+}
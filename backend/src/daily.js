@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+// Set DAILY_SECRET so players can't work out future days' seeds and
+// practice them ahead of time. Without it the seed only depends on the date.
+const secret = process.env.DAILY_SECRET || '';
+
+// How often (in ms) to check whether a new day has started
+const checkInterval = 60 * 1000;
+
+const day = 60 * 60 * 24 * 1000;
+
+// Days run midnight to midnight UTC, so everyone plays the same one
+const dateOf = time => new Date(time).toISOString().slice(0, 10);
+
+// A 32 bit seed for the game's random number generator
+const seedOf = date => crypto
+    .createHmac('sha256', secret)
+    .update(date)
+    .digest()
+    .readUInt32BE(0);
+
+const boardOf = date => `daily-${date}`;
+const isDailyBoard = name => /^daily-\d{4}-\d{2}-\d{2}$/.test(name);
+
+// The Daily Munch: every player gets the same seed for the day and
+// competes on that day's own board. Food that spawns on a given tick is the
+// same for everyone, but when food spawns still depends on how they play.
+// Yesterday's board stays open so runs that cross midnight can still be
+// saved, older days are closed so boards don't pile up.
+export default function (app, boards) {
+    const openBoards = () => {
+        const now = Date.now();
+        const today = boardOf(dateOf(now));
+        const yesterday = boardOf(dateOf(now - day));
+
+        boards.add(today);
+        boards.add(yesterday);
+
+        // board names sort by date
+        boards.all()
+            .filter(board => isDailyBoard(board.name) && board.name < yesterday)
+            .forEach(board => boards.remove(board.name));
+    };
+
+    openBoards();
+
+    const timer = setInterval(openBoards, checkInterval);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    app.get('/daily', (req, res) => {
+        const now = Date.now();
+        const date = dateOf(now);
+        const board = boards.add(boardOf(date));
+
+        res.status(200).json({
+            success: true,
+            date,
+            seed: seedOf(date),
+            board: board.name,
+            endsAt: Math.floor(now / day + 1) * day / 1000,
+        });
+    });
+}
@@ -0,0 +1,14 @@
+// Every failed request gets the same JSON shape: a machine readable
+// `error` code, a human readable `message` and, for invalid input, the
+// list of `fields` that were rejected.
+export const sendError = (res, status, error, message, fields) => {
+    // kept for the request log and metrics
+    res.locals.error = error;
+
+    res.status(status).json({
+        success: false,
+        error,
+        message,
+        ...(fields ? { fields } : {}),
+    });
+};
@@ -1,7 +1,202 @@
-import Database from '@withkoji/database';
+import crypto from 'crypto';
 import uuid from 'uuid';
 
-export default function (app) {
+import { redeemSession } from './session';
+import { sendError } from './errors';
+import { requireAdmin } from './auth';
+import { moderateName } from './moderation';
+import { defaultBoard } from './boards';
+import {
+    validate,
+    string,
+    integer,
+    boolean,
+    oneOf,
+    array,
+    object,
+    attributes
+} from './validation';
+
+// Time windows the board can be filtered by, in seconds (0 is all time)
+const windows = {
+    day: 60 * 60 * 24,
+    week: 60 * 60 * 24 * 7,
+    month: 60 * 60 * 24 * 30,
+    all: 0,
+};
+
+// Names are short and limited to letters, numbers, spaces
+// and a little punctuation
+const nameSchema = string({ min: 1, max: 24, pattern: /^[\p{L}\p{N} _.'!-]+$/u });
+
+// A summary of how the run went, shown with the score on the board.
+// peakSize is how close the player got to bursting, as a percentage.
+const runSchema = object({
+    optional: true,
+    fields: {
+        duration: integer({ min: 0, max: 60 * 60 * 24 }),
+        foods: integer({ min: 0 }),
+        blazes: integer({ min: 0 }),
+        peakSize: integer({ min: 0, max: 100 }),
+    },
+});
+
+// Points an obstacle can score before it's used up
+// (see munches in frontend/game/simulation.js)
+const maxMunches = 6;
+
+const listSchema = {
+    query: {
+        window: oneOf(Object.keys(windows), { fallback: 'all' }),
+        offset: integer({ min: 0, coerce: true, fallback: 0 }),
+        limit: integer({ min: 1, max: 100, coerce: true, fallback: 100 }),
+    },
+};
+
+const aroundSchema = {
+    params: {
+        id: string({ min: 1, max: 64 }),
+    },
+    query: {
+        count: integer({ min: 0, max: 50, coerce: true, fallback: 5 }),
+    },
+};
+
+const recordSchema = {
+    params: {
+        id: string({ min: 1, max: 64 }),
+    },
+};
+
+const removeSchema = {
+    params: {
+        board: string({ max: 40, optional: true }),
+        id: string({ min: 1, max: 64 }),
+    },
+    body: {
+        token: string({ min: 1, max: 128 }),
+    },
+};
+
+const exportSchema = {
+    query: {
+        format: oneOf(['json', 'csv'], { fallback: 'json' }),
+    },
+};
+
+// Imports take the `records` of a JSON export
+const importSchema = {
+    query: {
+        mode: oneOf(['merge', 'replace'], { fallback: 'merge' }),
+    },
+    body: {
+        records: array({
+            max: 100000,
+            items: {
+                id: string({ min: 1, max: 64 }),
+                name: string({ min: 1, max: 64 }),
+                originalName: string({ max: 64, optional: true }),
+                score: integer({ min: 0 }),
+                dateCreated: integer({ min: 0 }),
+                hidden: boolean({ optional: true }),
+                run: runSchema,
+                privateAttributes: attributes({ optional: true }),
+                deleteToken: string({ min: 64, max: 64, pattern: /^[0-9a-f]+$/, optional: true }),
+            },
+        }),
+    },
+};
+
+const saveSchema = {
+    body: {
+        name: nameSchema,
+        score: integer({ min: 0, max: parseInt(process.env.SCORE_MAX, 10) || 1000000 }),
+        session: string({ max: 256 }),
+        run: runSchema,
+        privateAttributes: attributes({ optional: true }),
+        deviceId: string({ max: 64, pattern: /^[\w-]+$/, optional: true }),
+    },
+};
+
+// With LEADERBOARD_BEST_PER_PLAYER=true each device keeps one record with
+// its best score, and every submission is also kept in a history
+const bestPerPlayer = process.env.LEADERBOARD_BEST_PER_PLAYER === 'true';
+
+// Player records are keyed by a hash of the device id, so the ids on the
+// public board can't be used to pose as someone else's device
+const playerRecordId = deviceId => `player-${crypto
+    .createHash('sha256')
+    .update(deviceId)
+    .digest('hex')
+    .slice(0, 32)}`;
+
+// Players get a token with each save that lets them delete the record
+// later. Only its hash is stored, so storage can't be used to delete
+// someone else's record.
+const hashToken = token => crypto.createHash('sha256').update(token).digest();
+
+// A stored hash of the wrong length can't match, and would make
+// timingSafeEqual throw
+const tokenMatches = (token, hash) => {
+    if (typeof hash !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = hashToken(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Run an async function over a list a batch at a time, so big boards
+// don't flood storage with requests
+const inBatches = async (items, fn, size = 100) => {
+    for (let i = 0; i < items.length; i += size) {
+        await Promise.all(items.slice(i, i + size).map(fn));
+    }
+};
+
+const csvColumns = ['id', 'name', 'originalName', 'score', 'dateCreated', 'hidden', 'run', 'privateAttributes'];
+
+// Quote a value for CSV. Cells that a spreadsheet would run as a formula
+// get a leading quote so exports are safe to open.
+const csvCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsv = records => [csvColumns.join(',')]
+    .concat(records.map(record => csvColumns.map(column => csvCell(record[column])).join(',')))
+    .join('\r\n');
+
+export default function (app, storage, boards, webhooks) {
+    // Route middleware that finds the board a request is for, from the
+    // route or a `board` query parameter, and waits for its index. Routes
+    // without a board are for the default board.
+    const withBoard = async (req, res, next) => {
+        const board = boards.get(req.params.board || req.query.board || defaultBoard);
+        if (!board) {
+            sendError(res, 404, 'unknown_board', 'There is no board with that name');
+            return;
+        }
+
+        // a failed load is tried again by the next request
+        try {
+            await board.indexReady();
+        } catch (err) {
+            console.error(err);
+            sendError(res, 503, 'storage_unavailable', 'The board could not be loaded, try again later');
+            return;
+        }
+
+        req.board = board;
+        next();
+    };
+
   app.get('/test', async (req, res) => {
     res.status(200).json({
       test: true,
@@ -9,43 +204,341 @@ export default function (app) {
     });
   })
 
-    app.get('/leaderboard', async (req, res) => {
-        const database = new Database();
-        const rawScores = await database.get('leaderboard');
+    // New entries that make the top 100 are pushed as `entry` events. This
+    // has to come before '/leaderboard/:board' or 'stream' would be taken
+    // for a board name.
+    app.get(['/leaderboard/stream', '/leaderboard/:board/stream'], withBoard, (req, res) => {
+        req.board.stream.subscribe(req, res);
+    });
+
+    app.get(['/leaderboard', '/leaderboard/:board'], withBoard, validate(listSchema), async (req, res) => {
+        const { window, offset, limit } = req.query;
+        const { index } = req.board;
+
+        // Only count scores saved inside the requested time window. The
+        // cutoff moves a minute at a time so responses can be cached.
+        const minute = Math.floor(Date.now() / 60000) * 60;
+        const since = windows[window] ? minute - windows[window] : 0;
+
+        // The response only changes when the board or the cutoff does, so
+        // clients that already have it get a 304 without any work
+        const etag = `W/"${req.board.name}-${index.version}-${window}-${since}-${offset}-${limit}"`;
+        res.set('Cache-Control', 'private, no-cache');
+        res.set('ETag', etag);
+        if (req.get('If-None-Match') === etag) {
+            res.status(304).end();
+            return;
+        }
 
-        // We don't want to return private attributes to consumers of this
-        // endpoint, so strip them out, sort the records so the top scores
-        // appear first, and then only return the top 100 scores
-        const scores = rawScores
-            .map(({ name, score, dateCreated }) => ({
-                name,
-                score,
-                dateCreated
-            }))
-            .filter(r => r.name && !isNaN(r.score))
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 100);
+        // Then only return the requested page of scores
+        const ranked = index.list(since);
+
+        res.status(200).json({
+            success: true,
+            scores: ranked.slice(offset, offset + limit),
+            total: ranked.length,
+            board: req.board.name,
+            window,
+            offset,
+            limit,
+        });
+    });
+
+    app.get(['/leaderboard/around/:id', '/leaderboard/:board/around/:id'], withBoard, validate(aroundSchema), async (req, res) => {
+        const { count } = req.query;
+        const { index } = req.board;
+
+        const rank = index.rankOf(req.params.id);
+        if (!rank) {
+            sendError(res, 404, 'not_found', 'No record with that id');
+            return;
+        }
+
+        // The record plus up to `count` neighbours above and below it
+        const ranked = index.list();
+        const offset = Math.max(rank - 1 - count, 0);
+        const scores = ranked
+            .slice(offset, rank + count)
+            .map((r, i) => ({ ...r, rank: offset + i + 1 }));
 
         res.status(200).json({
             success: true,
             scores,
+            rank,
+            total: ranked.length,
         });
     });
 
-    app.post('/leaderboard/save', async (req, res) => {
-        const recordId = uuid.v4();
+    app.post(['/leaderboard/save', '/leaderboard/:board/save'], withBoard, validate(saveSchema), async (req, res) => {
+        // A running season takes over the saves for its board
+        const board = boards.saveTarget(req.board);
+        await board.indexReady();
+
+        const { index, collections, stream } = board;
+
+        // Keeping each player's best needs to know who the player is,
+        // otherwise every save would be a new record again
+        if (bestPerPlayer && !req.body.deviceId) {
+            sendError(res, 400, 'invalid_request', 'The request has invalid fields', [
+                { field: 'deviceId', code: 'required', message: 'is required' },
+            ]);
+            return;
+        }
+
+        // Blocked names are either masked or sent back to the player,
+        // before the session is used up so they can pick another name
+        const moderated = moderateName(req.body.name);
+        if (moderated.rejected) {
+            sendError(res, 400, 'invalid_request', 'The request has invalid fields', [
+                { field: 'name', code: 'blocked', message: 'name is not allowed' },
+            ]);
+            return;
+        }
+
+        // Every tick the player overlaps an obstacle scores a point, and an
+        // obstacle goes away after a few of them, so the score has to fit
+        // the foods and blazes the run counted
+        const { run } = req.body;
+        const eaten = run ? run.foods + run.blazes : 0;
+        if (run && (req.body.score < eaten || req.body.score > eaten * maxMunches)) {
+            sendError(res, 400, 'invalid_request', 'The request has invalid fields', [
+                { field: 'run', code: 'inconsistent', message: 'run does not match the score' },
+            ]);
+            return;
+        }
+
+        // Only accept scores from a run the server started for this
+        // board, and only once
+        const sessionError = await redeemSession(storage, req.body.session, req.body.score, req.board.name);
+        if (sessionError) {
+            sendError(res, 403, sessionError.code, sessionError.message);
+            return;
+        }
+
         const recordBody = {
-            name: req.body.name,
+            name: moderated.name,
+            ...(moderated.masked ? { originalName: req.body.name } : {}),
             score: req.body.score,
+            ...(run ? { run } : {}),
             privateAttributes: req.body.privateAttributes,
             dateCreated: Math.round(Date.now() / 1000),
         };
 
-        const database = new Database();
-        await database.set('leaderboard', recordId, recordBody);
+        // Every save is a new record, unless players only keep their best
+        let recordId = uuid.v4();
+        let improved = true;
+        if (bestPerPlayer) {
+            recordId = playerRecordId(req.body.deviceId);
+
+            await storage.set(collections.history, uuid.v4(), {
+                player: recordId,
+                name: recordBody.name,
+                score: recordBody.score,
+                ...(run ? { run } : {}),
+                dateCreated: recordBody.dateCreated,
+            });
+
+            // a hidden player stays hidden when they improve
+            const best = index.get(recordId);
+            improved = !best || recordBody.score > best.score;
+            if (best && best.hidden) {
+                recordBody.hidden = true;
+            }
+        }
+
+        // A new token replaces the old one whenever the record is written
+        const previousRank = index.rankOf(recordId);
+        let deleteToken;
+        if (improved) {
+            deleteToken = crypto.randomBytes(24).toString('hex');
+            recordBody.deleteToken = hashToken(deleteToken).toString('hex');
+
+            await storage.set(collections.records, recordId, recordBody);
+            index.set({ id: recordId, ...recordBody });
+        }
+
+        const rank = index.rankOf(recordId);
+        if (improved && rank > 0 && rank <= 100) {
+            stream.publish('entry', { ...index.get(recordId), rank });
+        }
+        if (improved) {
+            webhooks.notify({ board: board.name, entry: index.get(recordId), rank, previousRank });
+        }
+
+        res.status(200).json({
+            success: true,
+            id: recordId,
+            board: board.name,
+            rank,
+            improved,
+            ...(deleteToken ? { deleteToken } : {}),
+        });
+    });
+
+    // Players remove their own record with the token they got when saving
+    // it. Their history goes too, so nothing of the run is kept. Boards
+    // that aren't served anymore, like past days, still take removals.
+    app.delete(['/leaderboard/:board/:id', '/leaderboard/:id'], validate(removeSchema), async (req, res) => {
+        const name = req.params.board || req.query.board || defaultBoard;
+        const { id } = req.params;
+        const board = boards.get(name);
+
+        try {
+            let collections;
+            let record;
+            if (board) {
+                // The index has every record's token hash, so wrong ids
+                // and tokens are turned away without loading the records
+                await board.indexReady();
+                collections = board.collections;
+                record = board.index.get(id);
+                if (!tokenMatches(req.body.token, board.index.deleteTokenOf(id))) {
+                    sendError(res, 403, 'invalid_token', 'The token does not match the record');
+                    return;
+                }
+            } else {
+                collections = await boards.collectionsOf(name);
+                if (!collections) {
+                    sendError(res, 404, 'unknown_board', 'There is no board with that name');
+                    return;
+                }
+
+                const rawScores = await storage.get(collections.records);
+                record = rawScores.find(r => r._id === id);
+                if (!record || !tokenMatches(req.body.token, record.deleteToken)) {
+                    sendError(res, 403, 'invalid_token', 'The token does not match the record');
+                    return;
+                }
+            }
+
+            await storage.delete(collections.records, id);
+            if (board) {
+                board.index.remove(id);
+            }
+
+            const history = await storage.get(collections.history);
+            await inBatches(
+                history.filter(entry => entry.player === id),
+                entry => storage.delete(collections.history, entry._id)
+            );
+
+            await boards.recordRemoved(name, { id, hidden: Boolean(record.hidden) });
+        } catch (err) {
+            console.error(err);
+            sendError(res, 503, 'storage_unavailable', 'The record could not be removed, try again later');
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            id,
+        });
+    });
+
+    // Hidden records stay in storage but are left out of every public
+    // view of the board
+    const setHidden = hidden => async (req, res) => {
+        const { index, collections } = req.board;
+
+        const rawScores = await storage.get(collections.records);
+        const record = rawScores.find(r => r._id === req.params.id);
+        if (!record) {
+            sendError(res, 404, 'not_found', 'No record with that id');
+            return;
+        }
+
+        const { _id, ...recordBody } = record;
+        await storage.set(collections.records, _id, { ...recordBody, hidden });
+        index.set({ id: _id, ...recordBody, hidden });
+
+        res.status(200).json({
+            success: true,
+            id: _id,
+            hidden,
+        });
+    };
+
+    // Admin routes take the board as a `board` query parameter
+
+    app.post('/admin/leaderboard/:id/hide', requireAdmin, withBoard, validate(recordSchema), setHidden(true));
+    app.post('/admin/leaderboard/:id/unhide', requireAdmin, withBoard, validate(recordSchema), setHidden(false));
+
+    app.delete('/admin/leaderboard/:id', requireAdmin, withBoard, validate(recordSchema), async (req, res) => {
+        const { index, collections } = req.board;
+
+        const rawScores = await storage.get(collections.records);
+        if (!rawScores.some(r => r._id === req.params.id)) {
+            sendError(res, 404, 'not_found', 'No record with that id');
+            return;
+        }
+
+        await storage.delete(collections.records, req.params.id);
+        index.remove(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            id: req.params.id,
+        });
+    });
+
+    // Delete every record on the board
+    app.post('/admin/leaderboard/reset', requireAdmin, withBoard, async (req, res) => {
+        const { index, collections } = req.board;
+
+        const rawScores = await storage.get(collections.records);
+        await inBatches(rawScores, r => storage.delete(collections.records, r._id));
+        index.clear();
+
+        res.status(200).json({
+            success: true,
+            deleted: rawScores.length,
+        });
+    });
+
+    // Every record, including hidden ones and private attributes
+    app.get('/admin/leaderboard/export', requireAdmin, withBoard, validate(exportSchema), async (req, res) => {
+        const { name, collections } = req.board;
+
+        const records = (await storage.get(collections.records))
+            .map(({ _id, ...recordBody }) => ({ id: _id, ...recordBody }));
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (req.query.format === 'csv') {
+            res.attachment(`leaderboard-${name}-${date}.csv`);
+            res.type('text/csv');
+            res.status(200).send(toCsv(records));
+            return;
+        }
+
+        res.attachment(`leaderboard-${name}-${date}.json`);
+        res.status(200).json({
+            success: true,
+            board: name,
+            exportedAt: Math.round(Date.now() / 1000),
+            records,
+        });
+    });
+
+    // Load records from a JSON export, keeping their ids so importing the
+    // same file twice doesn't duplicate anything. In replace mode the
+    // board is emptied first.
+    app.post('/admin/leaderboard/import', requireAdmin, withBoard, validate(importSchema), async (req, res) => {
+        const { index, collections } = req.board;
+
+        if (req.query.mode === 'replace') {
+            const rawScores = await storage.get(collections.records);
+            await inBatches(rawScores, r => storage.delete(collections.records, r._id));
+        }
+
+        const { records } = req.body;
+        await inBatches(records, ({ id, ...recordBody }) => storage.set(collections.records, id, recordBody));
+
+        // Rebuilding is quicker than inserting a big import one at a time
+        index.load(await storage.get(collections.records));
 
         res.status(200).json({
             success: true,
+            imported: records.length,
         });
     });
 }
@@ -0,0 +1,133 @@
+// Records sort by score, ties go to whoever got there first, and the id
+// breaks any remaining tie so every record has exactly one position
+const compare = (a, b) => (b.score - a.score)
+    || (a.dateCreated - b.dateCreated)
+    || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+
+// Only the public fields of records are indexed, so private attributes
+// never leave storage through it. Broken records are left out entirely.
+const toEntry = ({ id, name, score, dateCreated, hidden, run }) => {
+    if (!name || typeof score !== 'number' || isNaN(score)) {
+        return null;
+    }
+
+    return { id, name, score, dateCreated, ...(hidden ? { hidden } : {}), ...(run ? { run } : {}) };
+};
+
+// An in memory copy of the board kept sorted best score first. Hidden
+// records can be looked up by id but are never listed or ranked. It is
+// built from storage once and then updated by every change, so reads
+// never have to load and sort the whole collection. `version` goes up on
+// every change and can be used to tell whether a read is still current.
+// Delete token hashes are kept apart from the entries so they are never
+// listed but removals can still be checked without loading storage.
+export default class LeaderboardIndex {
+    constructor() {
+        this.entries = [];
+        this.byId = new Map();
+        this.deleteTokens = new Map();
+        this.version = 0;
+        this.building = null;
+    }
+
+    // Build the index from storage the first time it is needed. A failed
+    // build is retried by the next caller.
+    build(load) {
+        if (!this.building) {
+            this.building = load()
+                .then(records => this.load(records))
+                .catch((err) => {
+                    this.building = null;
+                    throw err;
+                });
+        }
+
+        return this.building;
+    }
+
+    // Replace everything with records from storage (ids under `_id`)
+    load(records) {
+        const all = records
+            .map(({ _id, ...record }) => toEntry({ id: _id, ...record }))
+            .filter(entry => entry);
+
+        this.entries = all
+            .filter(entry => !entry.hidden)
+            .sort(compare);
+        this.byId = new Map(all.map(entry => [entry.id, entry]));
+        this.deleteTokens = new Map(records
+            .filter(record => record.deleteToken && this.byId.has(record._id))
+            .map(record => [record._id, record.deleteToken]));
+        this.version += 1;
+    }
+
+    clear() {
+        this.load([]);
+    }
+
+    // Position an entry is at, or would be inserted at
+    position(entry) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (compare(this.entries[mid], entry) < 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    // Add or replace a record
+    set(record) {
+        this.remove(record.id);
+
+        const entry = toEntry(record);
+        if (entry) {
+            if (!entry.hidden) {
+                this.entries.splice(this.position(entry), 0, entry);
+            }
+            this.byId.set(entry.id, entry);
+            if (record.deleteToken) {
+                this.deleteTokens.set(entry.id, record.deleteToken);
+            }
+        }
+
+        this.version += 1;
+    }
+
+    remove(id) {
+        const entry = this.byId.get(id);
+        if (entry) {
+            if (!entry.hidden) {
+                this.entries.splice(this.position(entry), 1);
+            }
+            this.byId.delete(id);
+            this.deleteTokens.delete(id);
+            this.version += 1;
+        }
+    }
+
+    get(id) {
+        return this.byId.get(id);
+    }
+
+    // Hash of the token that removes a record, if it has one
+    deleteTokenOf(id) {
+        return this.deleteTokens.get(id);
+    }
+
+    // 1 based rank of a record, or 0 when it isn't on the board
+    rankOf(id) {
+        const entry = this.byId.get(id);
+        return entry && !entry.hidden ? this.position(entry) + 1 : 0;
+    }
+
+    // Every entry saved at or after `since` (seconds), best first
+    list(since = 0) {
+        return since ? this.entries.filter(entry => entry.dateCreated >= since) : this.entries;
+    }
+}
@@ -0,0 +1,102 @@
+// A minimal metrics registry that renders the Prometheus text format.
+// Counters and histograms are updated as things happen, gauges are read
+// when metrics are scraped.
+const registry = [];
+
+const escape = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const keys = Object.keys(labels);
+    return keys.length ?
+        `{${keys.map(key => `${key}="${escape(labels[key])}"`).join(',')}}` :
+        '';
+};
+
+// Series are kept by their label set, so the same labels in any order
+// update the same series
+const seriesKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+
+const register = (name, help, type, lines) => {
+    registry.push({ name, help, type, lines });
+};
+
+export const counter = (name, help) => {
+    const series = new Map();
+
+    register(name, help, 'counter', () => Array.from(series.values())
+        .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+
+    return {
+        inc(labels = {}, n = 1) {
+            const key = seriesKey(labels);
+            const current = series.get(key) || { labels, value: 0 };
+            series.set(key, { labels, value: current.value + n });
+        },
+    };
+};
+
+// Buckets are upper bounds, in whatever unit is observed
+export const histogram = (name, help, buckets) => {
+    const series = new Map();
+
+    register(name, help, 'histogram', () => Array.from(series.values())
+        .reduce((lines, { labels, counts, sum, count }) => lines.concat(
+            buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ), []));
+
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, {
+                labels,
+                counts: current.counts.map((n, i) => (value <= buckets[i] ? n + 1 : n)),
+                sum: current.sum + value,
+                count: current.count + 1,
+            });
+        },
+    };
+};
+
+// `read` returns a list of { labels, value } when metrics are scraped
+export const gauge = (name, help, read) => {
+    register(name, help, 'gauge', () => read()
+        .map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`));
+};
+
+export const render = () => registry
+    .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`]
+        .concat(lines())
+        .join('\n'))
+    .join('\n\n')
+    .concat('\n');
+
+export const requests = counter(
+    'munchys_http_requests_total',
+    'HTTP requests by route, method and status'
+);
+
+export const requestDuration = histogram(
+    'munchys_http_request_duration_seconds',
+    'HTTP request latency by route and method',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+export const saveRejections = counter(
+    'munchys_save_rejections_total',
+    'Score submissions that were turned away, by error code'
+);
+
+gauge('process_uptime_seconds', 'Seconds since the server started', () => [
+    { value: Math.round(process.uptime()) },
+]);
+
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [
+    { value: process.memoryUsage().rss },
+]);
@@ -0,0 +1,123 @@
+import * as fs from 'fs';
+
+// A starting point, operators should extend it with BLOCKLIST or
+// BLOCKLIST_FILE for their audience
+const defaultBlocklist = [
+    'fuck',
+    'shit',
+    'cunt',
+    'bitch',
+    'asshole',
+    'whore',
+    'slut',
+    'nigger',
+    'nigga',
+    'faggot',
+    'retard',
+];
+
+// Innocent words that have a blocked word inside them. They are taken out
+// of a name before it is checked, so "Scunthorpe" is fine but
+// "ScunthorpeCunt" isn't. Operators can add more with ALLOWLIST.
+const defaultAllowlist = [
+    'scunthorpe',
+    'shitake',
+    'shiitake',
+    'snigger',
+    'retardant',
+];
+
+// Characters people swap in to get around filters
+const lookalikes = {
+    '0': 'o',
+    '1': 'i',
+    '!': 'i',
+    '|': 'i',
+    '3': 'e',
+    '4': 'a',
+    '@': 'a',
+    '5': 's',
+    '$': 's',
+    '7': 't',
+    '+': 't',
+    '8': 'b',
+    '9': 'g',
+};
+
+// Reduce a name to its words in bare lowercase letters, so "5h1t" style
+// leetspeak compares the same as the plain word. Letters spaced out one at
+// a time, like "F u_C k", are joined back into a word.
+export const nameWords = (name) => {
+    const tokens = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split('')
+        .map(c => lookalikes[c] || c)
+        .join('')
+        .split(/[^a-z]+/)
+        .filter(token => token.length > 0);
+
+    const words = [];
+    let letters = '';
+    tokens.forEach((token) => {
+        if (token.length === 1) {
+            letters += token;
+            return;
+        }
+        if (letters) words.push(letters);
+        letters = '';
+        words.push(token);
+    });
+    if (letters) words.push(letters);
+
+    return words;
+};
+
+// Blocked words are found anywhere in a word, so "fuckyou" and "xXfuckXx"
+// are caught. Letters can be stretched ("fuuuck"), but the word's own
+// double letters have to be there, so "niger" isn't "nigger".
+const wordPattern = word => new RegExp(word.split('').map(c => `${c}+`).join(''));
+
+const normalizeList = words => words
+    .map(word => nameWords(word).join(''))
+    .filter(word => word.length > 0);
+
+const loadBlocklist = () => {
+    const fromEnv = (process.env.BLOCKLIST || '').split(',');
+    const fromFile = process.env.BLOCKLIST_FILE ?
+        fs.readFileSync(process.env.BLOCKLIST_FILE, 'utf8').split(/\r?\n/) :
+        [];
+
+    return normalizeList(defaultBlocklist.concat(fromEnv, fromFile)).map(wordPattern);
+};
+
+const blocklist = loadBlocklist();
+
+const allowlist = normalizeList(defaultAllowlist.concat((process.env.ALLOWLIST || '').split(',')));
+
+// Take allowed words out, leaving a gap so the pieces around them
+// don't join up into a blocked word
+const withoutAllowed = word => allowlist.reduce((rest, allowed) => rest.split(allowed).join(' '), word);
+
+// MODERATION_MODE is either "reject" (the default) or "mask"
+const mode = process.env.MODERATION_MODE === 'mask' ? 'mask' : 'reject';
+
+export const isBlocked = name => nameWords(name)
+    .map(withoutAllowed)
+    .some(word => blocklist.some(pattern => pattern.test(word)));
+
+// Check a name against the blocklist. Returns { name } with the name to
+// store, which is masked if needed, or { rejected: true } when blocked
+// names are not accepted.
+export const moderateName = (name) => {
+    if (!isBlocked(name)) {
+        return { name };
+    }
+
+    if (mode === 'mask') {
+        return { name: name.replace(/\S/g, '*'), masked: true };
+    }
+
+    return { rejected: true };
+};
@@ -0,0 +1,62 @@
+import { gauge, render } from './metrics';
+
+// How long (in ms) storage gets to answer a health check
+const healthTimeout = 5000;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout])
+        .then((result) => {
+            clearTimeout(timer);
+            return result;
+        }, (err) => {
+            clearTimeout(timer);
+            throw err;
+        });
+};
+
+// Health checks for load balancers and uptime monitors, and metrics for
+// Prometheus to scrape
+export default function (app, storage, boards) {
+    gauge('munchys_leaderboard_entries', 'Scores on each leaderboard, not counting hidden ones', () => boards.all()
+        .map(({ name, index }) => ({ labels: { board: name }, value: index.entries.length })));
+
+    gauge('munchys_leaderboard_stream_clients', 'Clients listening for live leaderboard updates', () => boards.all()
+        .map(({ name, stream }) => ({ labels: { board: name }, value: stream.size })));
+
+    // Storage is the only thing the backend depends on, so it's healthy
+    // when storage answers a read
+    app.get('/health', async (req, res) => {
+        const start = Date.now();
+        try {
+            await withTimeout(storage.get('health'), healthTimeout);
+        } catch (err) {
+            res.status(503).json({
+                success: false,
+                status: 'unavailable',
+                checks: {
+                    storage: { ok: false, error: err.message },
+                },
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            status: 'ok',
+            uptime: Math.round(process.uptime()),
+            checks: {
+                storage: { ok: true, latency: Date.now() - start },
+            },
+        });
+    });
+
+    app.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4');
+        res.status(200).send(render());
+    });
+}
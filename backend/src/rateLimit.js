@@ -0,0 +1,77 @@
+import { sendError } from './errors';
+
+// Parse a limit written as "<requests>/<seconds>", e.g. "5/60"
+const parseLimit = (limit) => {
+    const [max, seconds] = String(limit).split('/').map(n => parseInt(n, 10));
+    if (!(max > 0) || !(seconds > 0)) {
+        throw new Error(`Invalid rate limit "${limit}", expected <requests>/<seconds>`);
+    }
+
+    return { max, window: seconds * 1000 };
+};
+
+// Clients can identify their device with this header, so players sharing
+// one connection (a party on the same wifi) get their own allowance
+const deviceId = (req) => {
+    const id = req.get('X-Device-Id');
+    return id && /^[\w-]{1,64}$/.test(id) ? id : null;
+};
+
+// A sliding window log: every request time per key inside the window is
+// kept, and a request is allowed while fewer than `max` are logged.
+const slidingWindow = ({ max, window }) => {
+    const log = new Map();
+
+    // forget keys that have gone quiet so the log can't grow forever
+    const prune = setInterval(() => {
+        const cutoff = Date.now() - window;
+        log.forEach((times, key) => {
+            if (times[times.length - 1] <= cutoff) {
+                log.delete(key);
+            }
+        });
+    }, window);
+    if (prune.unref) {
+        prune.unref();
+    }
+
+    // Returns 0 when the request is allowed, otherwise the number of
+    // seconds until it would be
+    return (key) => {
+        const now = Date.now();
+        const times = (log.get(key) || []).filter(time => time > now - window);
+
+        if (times.length >= max) {
+            log.set(key, times);
+            return Math.max(Math.ceil((times[0] + window - now) / 1000), 1);
+        }
+
+        times.push(now);
+        log.set(key, times);
+        return 0;
+    };
+};
+
+// Route middleware limiting requests per client IP and, when the client
+// sends one, per device id. Both limits are "<requests>/<seconds>" and
+// either one can be left out.
+export default function rateLimit({ ip, device }) {
+    const byIp = ip && slidingWindow(parseLimit(ip));
+    const byDevice = device && slidingWindow(parseLimit(device));
+
+    return (req, res, next) => {
+        const id = deviceId(req);
+        const retryAfter = Math.max(
+            byIp ? byIp(req.ip) : 0,
+            byDevice && id ? byDevice(id) : 0
+        );
+
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            sendError(res, 429, 'rate_limited', `Too many requests, please wait ${retryAfter} seconds and try again`);
+            return;
+        }
+
+        next();
+    };
+}
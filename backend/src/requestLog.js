@@ -0,0 +1,56 @@
+import uuid from 'uuid';
+
+import { requests, requestDuration, saveRejections } from './metrics';
+
+// Routes are labelled by their pattern rather than the real path, so ids
+// in urls don't create a new series each. Routes with a list of paths
+// are labelled by the first one.
+const routeLabel = req => (req.route ?
+    req.baseUrl + [].concat(req.route.path)[0] :
+    'unmatched');
+
+const isSave = route => /^\/leaderboard(\/:board)?\/save$/.test(route);
+
+// Clients can pass their own request id, e.g. from a proxy
+const requestId = (req) => {
+    const id = req.get('X-Request-Id');
+    return id && /^[\w-]{1,64}$/.test(id) ? id : uuid.v4();
+};
+
+// Middleware that gives every request an id, sent back in X-Request-Id,
+// and writes one JSON log line per request once it is answered. Players
+// can quote the id when reporting a problem, and it finds the line.
+export default function requestLog() {
+    return (req, res, next) => {
+        const start = process.hrtime();
+        req.id = requestId(req);
+        res.set('X-Request-Id', req.id);
+
+        res.on('finish', () => {
+            const [seconds, nanoseconds] = process.hrtime(start);
+            const duration = seconds + nanoseconds / 1e9;
+            const route = routeLabel(req);
+
+            requests.inc({ route, method: req.method, status: res.statusCode });
+            requestDuration.observe({ route, method: req.method }, duration);
+            if (isSave(route) && res.statusCode >= 400) {
+                saveRejections.inc({ reason: res.locals.error || String(res.statusCode) });
+            }
+
+            process.stdout.write(`${JSON.stringify({
+                time: new Date().toISOString(),
+                id: req.id,
+                method: req.method,
+                path: req.path,
+                route,
+                status: res.statusCode,
+                duration: Math.round(duration * 1000),
+                ip: req.ip,
+                device: req.get('X-Device-Id'),
+                ...(res.locals.error ? { error: res.locals.error } : {}),
+            })}\n`);
+        });
+
+        next();
+    };
+}
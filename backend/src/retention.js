@@ -0,0 +1,39 @@
+// How long (in days) private attributes are kept, from
+// PRIVATE_ATTRIBUTES_RETENTION_DAYS. They are kept forever when it isn't set.
+const retentionDays = parseFloat(process.env.PRIVATE_ATTRIBUTES_RETENTION_DAYS) || 0;
+
+// How often (in ms) boards are checked for records past retention, every
+// board that was ever served is checked, not only the ones served now
+const sweepInterval = 60 * 60 * 1000;
+
+// Strips private attributes from records older than the retention period,
+// once at startup and then every hour. Scores stay on the board, only the
+// private data saved with them goes.
+export default function (storage, boards) {
+    if (!retentionDays) {
+        return;
+    }
+
+    const sweep = async () => {
+        const cutoff = Math.round(Date.now() / 1000) - retentionDays * 60 * 60 * 24;
+
+        for (const { collections } of await boards.everyBoard()) {
+            const rawScores = await storage.get(collections.records);
+            const expired = rawScores.filter(r => r.privateAttributes && r.dateCreated < cutoff);
+
+            for (const { _id, ...recordBody } of expired) {
+                delete recordBody.privateAttributes;
+                await storage.set(collections.records, _id, recordBody);
+            }
+        }
+    };
+
+    sweep().catch(err => console.error(err));
+
+    const timer = setInterval(() => {
+        sweep().catch(err => console.error(err));
+    }, sweepInterval);
+    if (timer.unref) {
+        timer.unref();
+    }
+}
@@ -0,0 +1,295 @@
+import { sendError } from './errors';
+import { requireAdmin } from './auth';
+import { defaultBoard } from './boards';
+import {
+    validate,
+    string,
+    integer
+} from './validation';
+
+// How many places are kept when a season's standings are frozen
+const standingsSize = parseInt(process.env.SEASON_STANDINGS_SIZE, 10) || 100;
+
+// How often (in ms) seasons are checked for ending
+const checkInterval = 30 * 1000;
+
+const now = () => Math.round(Date.now() / 1000);
+
+const seasonSchema = {
+    params: {
+        id: string({ min: 1, max: 32 }),
+    },
+};
+
+const createSchema = {
+    body: {
+        id: string({ min: 1, max: 32, pattern: /^[a-z0-9-]+$/ }),
+        name: string({ min: 1, max: 64 }),
+        board: string({ max: 40, fallback: defaultBoard }),
+        start: integer({ min: 0 }),
+        end: integer({ min: 0 }),
+    },
+};
+
+// Seasons run on their own board, so their scores start from zero
+const seasonBoard = id => `season-${id}`;
+
+const statusOf = (season, time = now()) => {
+    if (season.closedAt) {
+        return 'closed';
+    }
+    if (time < season.start) {
+        return 'scheduled';
+    }
+    return time < season.end ? 'active' : 'ended';
+};
+
+// The public view of a season, without its standings
+const summary = season => ({
+    id: season.id,
+    name: season.name,
+    board: season.board,
+    seasonBoard: seasonBoard(season.id),
+    start: season.start,
+    end: season.end,
+    status: statusOf(season),
+    ...(season.closedAt ? { closedAt: season.closedAt } : {}),
+});
+
+// Seasons are competitions with a start and end time. While one runs,
+// saves meant for its board go to the season's own board instead, and
+// outside any season they go to the board as usual. When a season ends
+// its final standings are frozen into the season record, so results stay
+// readable after the season board moves on.
+export default function (app, storage, boards) {
+    const seasons = new Map();
+
+    const save = async (season) => {
+        const { id, ...seasonBody } = season;
+        await storage.set('seasons', id, seasonBody);
+        seasons.set(id, season);
+    };
+
+    // Freeze the standings and stop taking saves
+    const close = async (season) => {
+        const board = boards.add(seasonBoard(season.id));
+        await board.indexReady();
+
+        const ranked = board.index.list();
+        const standings = ranked
+            .slice(0, standingsSize)
+            .map((entry, i) => ({ ...entry, rank: i + 1 }));
+
+        boards.stopRedirect(season.board, seasonBoard(season.id));
+        await save({
+            ...season,
+            closedAt: now(),
+            standings,
+            total: ranked.length,
+        });
+    };
+
+    // Saves go to the season board from the moment the season starts
+    // until it ends, the board checks the times on every save
+    const redirect = (season) => {
+        boards.redirectSaves(season.board, seasonBoard(season.id), {
+            start: season.start,
+            end: season.end,
+        });
+    };
+
+    // Close seasons that are over
+    const check = async () => {
+        const time = now();
+        for (const season of seasons.values()) {
+            if (statusOf(season, time) === 'ended') {
+                await close(season);
+            }
+        }
+    };
+
+    // Load the seasons the first time they are needed. A failed load is
+    // tried again by the next caller instead of failing for good.
+    let loading = null;
+    const ready = () => {
+        if (!loading) {
+            loading = storage.get('seasons')
+                .then((records) => {
+                    records.forEach(({ _id, ...season }) => {
+                        seasons.set(_id, { id: _id, ...season });
+                        if (!season.closedAt) {
+                            redirect({ id: _id, ...season });
+                        }
+                    });
+                })
+                .catch((err) => {
+                    loading = null;
+                    throw err;
+                });
+        }
+
+        return loading;
+    };
+
+    ready().then(check).catch(err => console.error(err));
+
+    // Records players remove are taken out of archived standings too
+    boards.onRecordRemoved(async (board, { id, hidden }) => {
+        await ready();
+        for (const season of seasons.values()) {
+            if (season.closedAt && seasonBoard(season.id) === board) {
+                const standings = season.standings
+                    .filter(entry => entry.id !== id)
+                    .map((entry, i) => ({ ...entry, rank: i + 1 }));
+                await save({
+                    ...season,
+                    standings,
+                    total: hidden ? season.total : Math.max(season.total - 1, 0),
+                });
+            }
+        }
+    });
+
+    const timer = setInterval(() => {
+        ready().then(check).catch(err => console.error(err));
+    }, checkInterval);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    // Storage failures are answered with a 503, an unhandled rejection
+    // would take the whole server down
+    const orUnavailable = handler => async (req, res, next) => {
+        try {
+            await handler(req, res, next);
+        } catch (err) {
+            console.error(err);
+            sendError(res, 503, 'storage_unavailable', 'Seasons could not be loaded, try again later');
+        }
+    };
+
+    // Route middleware that finds the season named in the route
+    const withSeason = orUnavailable(async (req, res, next) => {
+        await ready();
+
+        const season = seasons.get(req.params.id);
+        if (!season) {
+            sendError(res, 404, 'not_found', 'No season with that id');
+            return;
+        }
+
+        req.season = season;
+        next();
+    });
+
+    app.get('/seasons', orUnavailable(async (req, res) => {
+        await ready();
+
+        const list = Array.from(seasons.values())
+            .sort((a, b) => b.start - a.start)
+            .map(summary);
+        const current = list.find(season => season.status === 'active');
+
+        res.status(200).json({
+            success: true,
+            seasons: list,
+            current: current ? current.id : null,
+        });
+    }));
+
+    // Closed seasons return their frozen standings, a running season
+    // returns its standings so far
+    app.get('/seasons/:id', validate(seasonSchema), withSeason, orUnavailable(async (req, res) => {
+        const { season } = req;
+
+        let { standings, total } = season;
+        if (!season.closedAt) {
+            const board = boards.add(seasonBoard(season.id));
+            await board.indexReady();
+
+            const ranked = board.index.list();
+            standings = ranked
+                .slice(0, standingsSize)
+                .map((entry, i) => ({ ...entry, rank: i + 1 }));
+            total = ranked.length;
+        }
+
+        res.status(200).json({
+            success: true,
+            season: summary(season),
+            standings,
+            total,
+        });
+    }));
+
+    app.post('/admin/seasons', requireAdmin, validate(createSchema), orUnavailable(async (req, res) => {
+        await ready();
+
+        const season = req.body;
+        const fields = [];
+        if (seasons.has(season.id)) {
+            fields.push({ field: 'id', code: 'taken', message: 'id is already used by another season' });
+        }
+        if (!boards.get(season.board)) {
+            fields.push({ field: 'board', code: 'unknown_board', message: 'board is not a leaderboard' });
+        }
+        if (season.end <= season.start) {
+            fields.push({ field: 'end', code: 'too_small', message: 'end must be after start' });
+        }
+
+        // Only one season at a time can take over a board
+        const overlaps = Array.from(seasons.values()).some(other => !other.closedAt
+            && other.board === season.board
+            && other.start < season.end
+            && season.start < other.end);
+        if (overlaps) {
+            fields.push({ field: 'start', code: 'overlaps', message: 'start and end overlap another season on this board' });
+        }
+
+        if (fields.length > 0) {
+            sendError(res, 400, 'invalid_request', 'The request has invalid fields', fields);
+            return;
+        }
+
+        await save(season);
+        redirect(season);
+        await check();
+
+        res.status(200).json({
+            success: true,
+            season: summary(season),
+        });
+    }));
+
+    // End a season early
+    app.post('/admin/seasons/:id/close', requireAdmin, validate(seasonSchema), withSeason, orUnavailable(async (req, res) => {
+        if (req.season.closedAt) {
+            sendError(res, 409, 'season_closed', 'The season is already closed');
+            return;
+        }
+
+        await close({ ...req.season, end: Math.min(req.season.end, now()) });
+
+        res.status(200).json({
+            success: true,
+            season: summary(seasons.get(req.season.id)),
+        });
+    }));
+
+    // Only seasons that haven't started can be deleted
+    app.delete('/admin/seasons/:id', requireAdmin, validate(seasonSchema), withSeason, orUnavailable(async (req, res) => {
+        if (statusOf(req.season) !== 'scheduled') {
+            sendError(res, 409, 'season_started', 'Only seasons that have not started can be deleted');
+            return;
+        }
+
+        await storage.delete('seasons', req.season.id);
+        seasons.delete(req.season.id);
+        boards.stopRedirect(req.season.board, seasonBoard(req.season.id));
+
+        res.status(200).json({
+            success: true,
+            id: req.season.id,
+        });
+    }));
+}
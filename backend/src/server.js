@@ -4,12 +4,35 @@ import * as fs from 'fs';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 
+import createStorage from './storage';
+import createBoards from './boards';
+import rateLimit from './rateLimit';
+import requestLog from './requestLog';
+
 // Import any routes we're going to be using
 import leaderboard from './leaderboard';
+import analytics from './analytics';
+import retention from './retention';
+import webhooks from './webhooks';
+import monitoring from './monitoring';
+import tuning from './tuning';
+import seasons from './seasons';
+import daily from './daily';
+import session from './session';
 
 // Create server
 const app = express();
 
+// Behind a proxy the client IP comes from X-Forwarded-For, set
+// TRUST_PROXY (e.g. "true" or a subnet) so rate limits see real clients
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Log every request as a line of JSON, with an id the client gets back
+// in X-Request-Id
+app.use(requestLog());
+
 // Specifically enable CORS for pre-flight options requests
 app.options('*', cors())
 
@@ -17,14 +40,18 @@ app.options('*', cors())
 // accept JSON bodies and x-www-form-urlencoded bodies. If you wanted to
 // process other request tpes, like form-data or graphql, you would need
 // to include the appropriate parser middlewares here.
+// Admin routes get a larger limit so whole boards can be imported
+app.use('/admin', bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({
   limit: '2mb',
   extended: true,
 }));
 
-// CORS allows these API routes to be requested directly by browsers
-app.use(cors());
+// CORS allows these API routes to be requested directly by browsers,
+// and lets them read Retry-After when they are rate limited and the
+// request id when something goes wrong
+app.use(cors({ exposedHeaders: ['Retry-After', 'X-Request-Id'] }));
 
 // Disable caching
 app.use((req, res, next) => {
@@ -34,8 +61,40 @@ app.use((req, res, next) => {
   next();
 });
 
+// Rate limits per route, each written as "<requests>/<seconds>" and
+// counted separately per client IP and per device id
+app.post('/session/start', rateLimit({
+  ip: process.env.RATE_LIMIT_SESSION_IP || '60/60',
+  device: process.env.RATE_LIMIT_SESSION_DEVICE || '20/60',
+}));
+app.post(['/leaderboard/save', '/leaderboard/:board/save'], rateLimit({
+  ip: process.env.RATE_LIMIT_SAVE_IP || '30/60',
+  device: process.env.RATE_LIMIT_SAVE_DEVICE || '5/60',
+}));
+app.post('/analytics', rateLimit({
+  ip: process.env.RATE_LIMIT_ANALYTICS_IP || '60/60',
+}));
+app.delete(['/leaderboard/:board/:id', '/leaderboard/:id'], rateLimit({
+  ip: process.env.RATE_LIMIT_DELETE_IP || '10/60',
+}));
+
+// Pick a storage adapter, set STORAGE_ADAPTER to "file" or "memory"
+// to run without the Koji database
+const storage = createStorage();
+const boards = createBoards(storage);
+
 // Enable routes we want to use
-leaderboard(app);
+const hooks = webhooks(app, storage);
+leaderboard(app, storage, boards, hooks);
+seasons(app, storage, boards);
+daily(app, boards);
+analytics(app, storage);
+tuning(app, storage);
+monitoring(app, storage, boards);
+
+// Clean up old private data
+retention(storage, boards);
+session(app, storage);
 
 // Start server
 app.listen(process.env.PORT || 3333, null, async err => {
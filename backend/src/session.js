@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import uuid from 'uuid';
+
+import { defaultBoard } from './boards';
+import { validate, string } from './validation';
+
+// Run sessions are stateless tokens signed with a server secret. If no
+// secret is configured a random one is generated at startup, which means
+// any run in progress when the server restarts can't be submitted.
+const secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long (in seconds) a token can be redeemed after it was issued
+const sessionTTL = parseInt(process.env.SESSION_TTL, 10) || 60 * 60;
+
+// The most points a player could plausibly earn per second of play. Every
+// frame a food item overlaps the player is a point, so this is generous.
+const maxPointsPerSecond = parseInt(process.env.SESSION_MAX_POINTS_PER_SECOND, 10) || 30;
+
+// Tokens that have already been redeemed are kept in storage, so they stay
+// used across restarts and between instances, each with the time it expires.
+// This process also remembers the ones it redeemed, which stops two saves of
+// the same run racing each other past the storage check.
+const redeemedCollection = 'redeemedSessions';
+const redeemed = new Map();
+
+// How often (in ms) expired tokens are removed from storage
+const pruneInterval = 60 * 60 * 1000;
+
+const sign = payload => crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+const now = () => Math.round(Date.now() / 1000);
+
+const pruneRedeemed = () => {
+    const time = now();
+    redeemed.forEach((expires, id) => {
+        if (expires < time) {
+            redeemed.delete(id);
+        }
+    });
+};
+
+// Runs are played for one board, e.g. the Daily Munch's board, and the
+// score can only be saved there. Board names have no dots.
+const startSchema = {
+    body: {
+        board: string({ max: 40, pattern: /^[a-z0-9-]+$/, fallback: defaultBoard }),
+    },
+};
+
+// Create a new signed token in the form <id>.<issued at>.<board>.<signature>
+export const issueSession = (board = defaultBoard) => {
+    const payload = `${uuid.v4()}.${now()}.${board}`;
+    return `${payload}.${sign(payload)}`;
+};
+
+// Check a token and score against the session rules, marking the token as
+// used when it is valid. Resolves to an error with a code and message, or
+// null if the score can be saved.
+export const redeemSession = async (storage, token, score, board = defaultBoard) => {
+    if (typeof token !== 'string' || token === '') {
+        return { code: 'session_missing', message: 'No run session was sent' };
+    }
+
+    const [id, issued, sessionBoard, signature] = token.split('.');
+    const expected = Buffer.from(sign(`${id}.${issued}.${sessionBoard}`));
+    const actual = Buffer.from(signature || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { code: 'session_invalid', message: 'The run session is not valid' };
+    }
+
+    if (sessionBoard !== board) {
+        return { code: 'session_wrong_board', message: 'The run session is for another board' };
+    }
+
+    const elapsed = now() - parseInt(issued, 10);
+    if (elapsed > sessionTTL) {
+        return { code: 'session_expired', message: 'The run session has expired' };
+    }
+
+    if (Number(score) > Math.max(elapsed, 1) * maxPointsPerSecond) {
+        return { code: 'score_unreachable', message: 'The score could not be reached in the time played' };
+    }
+
+    pruneRedeemed();
+    if (redeemed.has(id)) {
+        return { code: 'session_used', message: 'This run has already been submitted' };
+    }
+
+    const expires = parseInt(issued, 10) + sessionTTL;
+    redeemed.set(id, expires);
+
+    const stored = await storage.get(redeemedCollection);
+    if (stored.some(r => r._id === id)) {
+        return { code: 'session_used', message: 'This run has already been submitted' };
+    }
+
+    await storage.set(redeemedCollection, id, { expires });
+    return null;
+};
+
+export default function (app, storage) {
+    // Stored tokens that have expired can't be redeemed anyway
+    const pruneStored = async () => {
+        const time = now();
+        const stored = await storage.get(redeemedCollection);
+        for (const { _id, expires } of stored) {
+            if (expires < time) {
+                await storage.delete(redeemedCollection, _id);
+            }
+        }
+    };
+
+    pruneStored().catch(err => console.error(err));
+
+    const timer = setInterval(() => {
+        pruneStored().catch(err => console.error(err));
+    }, pruneInterval);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    app.post('/session/start', validate(startSchema), async (req, res) => {
+        res.status(200).json({
+            success: true,
+            session: issueSession(req.body.board),
+        });
+    });
+}
@@ -0,0 +1,79 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { promisify } from 'util';
+
+import MemoryStorage from './memory';
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const mkdir = promisify(fs.mkdir);
+
+// Keeps every collection in memory and writes them all to a single JSON
+// file after each change, so the board survives restarts without any
+// hosted service.
+export default class FileStorage extends MemoryStorage {
+    constructor(file) {
+        super();
+
+        this.file = path.resolve(file);
+        this.loaded = null;
+        this.pending = null;
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = readFile(this.file, 'utf8')
+                .then((contents) => { this.collections = JSON.parse(contents); })
+                .catch((err) => {
+                    // a missing file is an empty store
+                    if (err.code !== 'ENOENT') {
+                        throw err;
+                    }
+                });
+        }
+
+        return this.loaded;
+    }
+
+    // Writes are queued so they land in order, and go through a temporary
+    // file so a crash mid-write can't leave a truncated store behind. Changes
+    // made while a write is waiting to start are saved by that same write.
+    persist() {
+        if (!this.pending) {
+            const tmp = `${this.file}.tmp`;
+
+            this.pending = this.writing
+                .catch(() => {})
+                .then(() => {
+                    this.pending = null;
+                    const contents = JSON.stringify(this.collections);
+                    return mkdir(path.dirname(this.file), { recursive: true })
+                        .then(() => writeFile(tmp, contents))
+                        .then(() => rename(tmp, this.file));
+                });
+
+            this.writing = this.pending;
+        }
+
+        return this.pending;
+    }
+
+    async get(collection) {
+        await this.load();
+        return super.get(collection);
+    }
+
+    async set(collection, id, body) {
+        await this.load();
+        await super.set(collection, id, body);
+        await this.persist();
+    }
+
+    async delete(collection, id) {
+        await this.load();
+        await super.delete(collection, id);
+        await this.persist();
+    }
+}
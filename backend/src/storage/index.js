@@ -0,0 +1,29 @@
+import KojiStorage from './koji';
+import FileStorage from './file';
+import MemoryStorage from './memory';
+
+// Storage adapters all implement the same interface:
+//
+//   get(collection): resolves to every record in the collection,
+//   each with its id under `_id`
+//
+//   set(collection, id, body): creates or replaces a record
+//
+//   delete(collection, id): removes a record
+//
+// The adapter is picked with the STORAGE_ADAPTER environment variable
+// (koji, file or memory). Koji's hosted database is the default.
+const adapters = {
+    koji: () => new KojiStorage(),
+    file: () => new FileStorage(process.env.STORAGE_FILE || '.data/storage.json'),
+    memory: () => new MemoryStorage(),
+};
+
+export default function createStorage(type = process.env.STORAGE_ADAPTER || 'koji') {
+    const adapter = adapters[type];
+    if (!adapter) {
+        throw new Error(`Unknown storage adapter "${type}"`);
+    }
+
+    return adapter();
+}
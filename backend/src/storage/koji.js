@@ -0,0 +1,20 @@
+import Database from '@withkoji/database';
+
+// Koji's hosted database. A new client is created for each call, which is
+// how the routes used it before storage was pluggable.
+export default class KojiStorage {
+    async get(collection) {
+        const database = new Database();
+        return database.get(collection);
+    }
+
+    async set(collection, id, body) {
+        const database = new Database();
+        await database.set(collection, id, body);
+    }
+
+    async delete(collection, id) {
+        const database = new Database();
+        await database.delete(collection, id);
+    }
+}
@@ -0,0 +1,26 @@
+// Keeps every collection in process memory. Nothing survives a restart,
+// which makes it a good fit for tests and quick local runs.
+export default class MemoryStorage {
+    constructor(collections = {}) {
+        this.collections = collections;
+    }
+
+    async get(collection) {
+        const records = this.collections[collection] || {};
+        return Object.keys(records)
+            .map(_id => ({ ...records[_id], _id }));
+    }
+
+    // Records are written in place, copying the collection on every
+    // write would make big imports slow
+    async set(collection, id, body) {
+        this.collections[collection] = this.collections[collection] || {};
+        this.collections[collection][id] = body;
+    }
+
+    async delete(collection, id) {
+        if (this.collections[collection]) {
+            delete this.collections[collection][id];
+        }
+    }
+}
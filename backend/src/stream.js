@@ -0,0 +1,53 @@
+// A Server-Sent Events channel. Route handlers call `subscribe` to hold a
+// response open as an event stream, and `publish` sends an event to every
+// open stream. A comment is sent now and then so proxies don't close
+// streams that are quiet.
+export default function createStream({ heartbeat = 25000 } = {}) {
+    const clients = new Set();
+
+    const timer = setInterval(() => {
+        clients.forEach(res => res.write(': heartbeat\n\n'));
+    }, heartbeat);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    const subscribe = (req, res) => {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // stops nginx style proxies from buffering the stream
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        // tell clients how long to wait before reconnecting
+        res.write('retry: 5000\n\n');
+
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    };
+
+    const publish = (event, data) => {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(res => res.write(message));
+    };
+
+    // End every open stream and stop the heartbeat, for boards that are
+    // taken down. Clients reconnect and find the board gone.
+    const close = () => {
+        clearInterval(timer);
+        clients.forEach(res => res.end());
+        clients.clear();
+    };
+
+    return {
+        subscribe,
+        publish,
+        close,
+        get size() {
+            return clients.size;
+        },
+    };
+}
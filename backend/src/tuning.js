@@ -0,0 +1,82 @@
+import { sendError } from './errors';
+import { requireAdmin } from './auth';
+import { validate, integer } from './validation';
+
+// Overrides for the game's difficulty settings. Every one is optional,
+// the game keeps its built-in value for anything not set here.
+const tuningSchema = {
+    body: {
+        gameSpeed: integer({ min: 1, max: 500, optional: true }),
+        playerSize: integer({ min: 10, max: 1000, optional: true }),
+        obstacleSize: integer({ min: 10, max: 1000, optional: true }),
+        // game ticks (60 a second) between weed spawns
+        spawnInterval: integer({ min: 30, max: 6000, optional: true }),
+        // how wide the player can grow before bursting, as a
+        // percentage of the screen width
+        gameOverThreshold: integer({ min: 10, max: 100, optional: true }),
+    },
+};
+
+// Difficulty can be changed without redeploying the game. The overrides
+// are kept as one record in the `tuning` collection.
+export default function (app, storage) {
+    let tuning = {};
+
+    // Load the overrides the first time they are needed. A failed load
+    // is tried again by the next request instead of failing for good.
+    let loading = null;
+    const ready = () => {
+        if (!loading) {
+            loading = storage.get('tuning')
+                .then((records) => {
+                    const record = records.find(r => r._id === 'current');
+                    if (record) {
+                        tuning = { ...record };
+                        delete tuning._id;
+                    }
+                })
+                .catch((err) => {
+                    loading = null;
+                    throw err;
+                });
+        }
+
+        return loading;
+    };
+    ready().catch(err => console.error(err));
+
+    // The game falls back to its built-in settings when this fails
+    app.get('/tuning', async (req, res) => {
+        try {
+            await ready();
+        } catch (err) {
+            console.error(err);
+            sendError(res, 503, 'storage_unavailable', 'Tuning could not be loaded, try again later');
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            tuning,
+        });
+    });
+
+    // Replaces every override, send an empty body to go back to the
+    // game's own settings
+    app.put('/admin/tuning', requireAdmin, validate(tuningSchema), async (req, res) => {
+        try {
+            await ready();
+            await storage.set('tuning', 'current', req.body);
+        } catch (err) {
+            console.error(err);
+            sendError(res, 503, 'storage_unavailable', 'Tuning could not be saved, try again later');
+            return;
+        }
+        tuning = req.body;
+
+        res.status(200).json({
+            success: true,
+            tuning,
+        });
+    });
+}
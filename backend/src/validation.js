@@ -0,0 +1,160 @@
+import { sendError } from './errors';
+
+// Validators take a value and return either { value } with the cleaned up
+// value, or { code, message } describing what is wrong with it. Missing
+// values fall back to `fallback` when one is given and are otherwise
+// rejected unless the field is optional.
+const missing = value => value === undefined || value === null || value === '';
+
+const field = (check, { optional = false, fallback } = {}) => (value) => {
+    if (missing(value)) {
+        if (fallback !== undefined) {
+            return { value: fallback };
+        }
+        return optional ? { value: undefined } : { code: 'required', message: 'is required' };
+    }
+
+    return check(value);
+};
+
+export const string = ({ min = 0, max = Infinity, pattern, trim = true, ...options } = {}) => field((value) => {
+    if (typeof value !== 'string') {
+        return { code: 'not_string', message: 'must be text' };
+    }
+
+    const str = trim ? value.trim() : value;
+    if (str.length < min) {
+        return { code: 'too_short', message: `must be at least ${min} characters` };
+    }
+    if (str.length > max) {
+        return { code: 'too_long', message: `must be at most ${max} characters` };
+    }
+    if (pattern && !pattern.test(str)) {
+        return { code: 'invalid_characters', message: 'contains characters that are not allowed' };
+    }
+
+    return { value: str };
+}, options);
+
+// Query strings and params are always text, so `coerce` accepts numeric
+// strings there. JSON bodies have to send real numbers.
+export const integer = ({ min = -Infinity, max = Infinity, coerce = false, ...options } = {}) => field((value) => {
+    const n = coerce && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isSafeInteger(n)) {
+        return { code: 'not_integer', message: 'must be a whole number' };
+    }
+    if (n < min) {
+        return { code: 'too_small', message: `must be at least ${min}` };
+    }
+    if (n > max) {
+        return { code: 'too_large', message: `must be at most ${max}` };
+    }
+
+    return { value: n };
+}, options);
+
+export const boolean = options => field((value) => {
+    if (typeof value !== 'boolean') {
+        return { code: 'not_boolean', message: 'must be true or false' };
+    }
+
+    return { value };
+}, options);
+
+export const oneOf = (values, options) => field((value) => {
+    if (!values.includes(value)) {
+        return { code: 'not_allowed', message: `must be one of ${values.join(', ')}` };
+    }
+
+    return { value };
+}, options);
+
+// A flat object of short scalar values, e.g. privateAttributes
+export const attributes = ({ maxKeys = 10, maxLength = 256, maxSize = 2048, ...options } = {}) => field((value) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { code: 'not_object', message: 'must be an object' };
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length > maxKeys) {
+        return { code: 'too_many_keys', message: `must have at most ${maxKeys} keys` };
+    }
+
+    const flat = keys.every((key) => {
+        const attribute = value[key];
+        return ['number', 'boolean'].includes(typeof attribute)
+            || (typeof attribute === 'string' && attribute.length <= maxLength);
+    });
+    if (!flat) {
+        return { code: 'invalid_value', message: `values must be numbers, booleans or text up to ${maxLength} characters` };
+    }
+
+    if (JSON.stringify(value).length > maxSize) {
+        return { code: 'too_large', message: `must be at most ${maxSize} bytes` };
+    }
+
+    return { value };
+}, options);
+
+// An object whose fields match the `fields` schema
+export const object = ({ fields, ...options }) => field((value) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { code: 'not_object', message: 'must be an object' };
+    }
+
+    const result = check(fields, value);
+    if (result.fields.length > 0) {
+        return { code: 'invalid_field', message: result.fields[0].message };
+    }
+
+    return { value: result.values };
+}, options);
+
+// A list of objects that each match the `items` schema
+export const array = ({ items, max = Infinity, ...options }) => field((value) => {
+    if (!Array.isArray(value)) {
+        return { code: 'not_array', message: 'must be a list' };
+    }
+    if (value.length > max) {
+        return { code: 'too_long', message: `must have at most ${max} items` };
+    }
+
+    const results = value.map(item => check(items, item || {}));
+    const index = results.findIndex(result => result.fields.length > 0);
+    if (index !== -1) {
+        return { code: 'invalid_item', message: `item ${index}: ${results[index].fields[0].message}` };
+    }
+
+    return { value: results.map(result => result.values) };
+}, options);
+
+// Check every field of a schema against a source object. Returns the
+// cleaned values (unknown fields are dropped) and a list of field errors.
+export const check = (schema, source = {}) => Object.keys(schema)
+    .reduce((result, key) => {
+        const { value, code, message } = schema[key](source[key]);
+        if (code) {
+            result.fields.push({ field: key, code, message: `${key} ${message}` });
+        } else if (value !== undefined) {
+            result.values[key] = value;
+        }
+        return result;
+    }, { values: {}, fields: [] });
+
+// Route middleware that validates the body, query and params of a request
+// against their schemas, replacing them with the cleaned values or
+// responding with a 400 that lists every invalid field.
+export const validate = schemas => (req, res, next) => {
+    const parts = Object.keys(schemas);
+    const results = parts.map(part => check(schemas[part], req[part]));
+
+    const fields = results
+        .reduce((all, result) => all.concat(result.fields), []);
+    if (fields.length > 0) {
+        sendError(res, 400, 'invalid_request', 'The request has invalid fields', fields);
+        return;
+    }
+
+    parts.forEach((part, i) => { req[part] = results[i].values; });
+    next();
+};
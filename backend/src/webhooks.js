@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import uuid from 'uuid';
+
+import { requireAdmin } from './auth';
+import { validate, integer } from './validation';
+
+// Webhooks come from WEBHOOKS as a JSON list, e.g.
+// [{ "url": "https://example.com/hook", "top": 10, "board": "default" }]
+// `top` is the place a score has to reach (1 for a new #1), `board`
+// limits the hook to one board and `secret` signs the payload.
+const loadWebhooks = () => {
+    const hooks = JSON.parse(process.env.WEBHOOKS || '[]');
+    if (!Array.isArray(hooks)) {
+        throw new Error('WEBHOOKS must be a JSON list');
+    }
+
+    return hooks.map((hook, i) => {
+        if (!hook || !/^https?:\/\//.test(hook.url)) {
+            throw new Error(`Webhook ${i} in WEBHOOKS needs an http(s) url`);
+        }
+
+        return {
+            id: i,
+            url: hook.url,
+            top: parseInt(hook.top, 10) || 1,
+            board: hook.board,
+            secret: hook.secret,
+        };
+    });
+};
+
+const webhooks = loadWebhooks();
+
+// How many times a delivery is tried, waiting twice as long each time
+const maxAttempts = parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || 5;
+const firstDelay = 1000;
+
+const timeout = 10 * 1000;
+
+const deliveriesSchema = {
+    query: {
+        limit: integer({ min: 1, max: 500, coerce: true, fallback: 100 }),
+    },
+};
+
+// Webhook urls often carry their own secret in the path, so only the
+// host is ever shown
+const displayUrl = (url) => {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}/...`;
+};
+
+// POST a JSON body, resolves to the response status
+const post = (url, body, headers) => new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+        method: 'POST',
+        timeout,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...headers,
+        },
+    }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Timed out')));
+    req.on('error', reject);
+    req.end(body);
+});
+
+// Announces scores that reach a configured place on the board. Every
+// delivery is kept in the `webhookDeliveries` collection with each of its
+// attempts, so operators can see what was sent and what failed.
+export default function (app, storage) {
+    const deliver = async (hook, delivery, attempt = 1) => {
+        const body = JSON.stringify(delivery.payload);
+        const headers = hook.secret ? {
+            'X-Webhook-Signature': `sha256=${crypto.createHmac('sha256', hook.secret).update(body).digest('hex')}`,
+        } : {};
+
+        let result;
+        try {
+            const status = await post(hook.url, body, headers);
+            result = { status, ok: status >= 200 && status < 300 };
+        } catch (err) {
+            result = { error: err.message, ok: false };
+        }
+
+        delivery.attempts.push({ at: Math.round(Date.now() / 1000), ...result });
+        delivery.status = result.ok ? 'delivered' : 'retrying';
+        if (!result.ok && attempt >= maxAttempts) {
+            delivery.status = 'failed';
+        }
+
+        const { id, ...deliveryBody } = delivery;
+        await storage.set('webhookDeliveries', id, deliveryBody);
+
+        if (delivery.status === 'retrying') {
+            const retry = setTimeout(() => {
+                deliver(hook, delivery, attempt + 1).catch(err => console.error(err));
+            }, firstDelay * 2 ** (attempt - 1));
+            if (retry.unref) {
+                retry.unref();
+            }
+        }
+    };
+
+    // Called after a save. `previousRank` is where the player was before
+    // (0 if they weren't on the board), so hooks only fire on entering
+    // the top places and not for every save of someone already there.
+    const notify = ({ board, entry, rank, previousRank }) => {
+        webhooks
+            .filter(hook => !hook.board || hook.board === board)
+            .filter(hook => rank > 0 && rank <= hook.top)
+            .filter(hook => !previousRank || previousRank > hook.top)
+            .forEach((hook) => {
+                const text = rank === 1 ?
+                    `${entry.name} takes #1 on ${board} with ${entry.score}!` :
+                    `${entry.name} enters the top ${hook.top} on ${board} at #${rank} with ${entry.score}`;
+
+                const delivery = {
+                    id: uuid.v4(),
+                    webhook: hook.id,
+                    url: displayUrl(hook.url),
+                    status: 'pending',
+                    dateCreated: Math.round(Date.now() / 1000),
+                    attempts: [],
+                    payload: {
+                        event: rank === 1 ? 'new_first' : 'enters_top',
+                        top: hook.top,
+                        board,
+                        rank,
+                        entry,
+                        // chat services like Slack and Discord show these
+                        text,
+                        content: text,
+                    },
+                };
+
+                deliver(hook, delivery).catch(err => console.error(err));
+            });
+    };
+
+    app.get('/admin/webhooks', requireAdmin, validate(deliveriesSchema), async (req, res) => {
+        const deliveries = (await storage.get('webhookDeliveries'))
+            .map(({ _id, ...delivery }) => ({ id: _id, ...delivery }))
+            .sort((a, b) => b.dateCreated - a.dateCreated)
+            .slice(0, req.query.limit);
+
+        res.status(200).json({
+            success: true,
+            webhooks: webhooks.map(hook => ({
+                id: hook.id,
+                url: displayUrl(hook.url),
+                top: hook.top,
+                board: hook.board,
+                signed: Boolean(hook.secret),
+            })),
+            deliveries,
+        });
+    });
+
+    return { notify };
+}
@@ -0,0 +1,70 @@
+import 'babel-polyfill';
+import express from 'express';
+import bodyParser from 'body-parser';
+
+import MemoryStorage from '../src/storage/memory';
+import createBoards from '../src/boards';
+import leaderboard from '../src/leaderboard';
+import session from '../src/session';
+
+// Serve the leaderboard and session routes over memory storage on a free
+// port, the same way server.js puts them together. `webhooks` can be the
+// webhook module, by default nothing is announced, and `setup` can add
+// middleware before the routes.
+export const startApp = ({ webhooks = () => ({ notify: () => {} }), setup = () => {} } = {}) => {
+    const app = express();
+    app.use(bodyParser.json());
+    setup(app);
+
+    const storage = new MemoryStorage();
+    const boards = createBoards(storage);
+    const hooks = webhooks(app, storage);
+    leaderboard(app, storage, boards, hooks);
+    session(app, storage);
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                storage,
+                boards,
+                // fetch keeps connections open, which would hold the
+                // server open too
+                close: () => new Promise((done) => {
+                    server.close(done);
+                    server.closeAllConnections();
+                }),
+            });
+        });
+    });
+};
+
+// Send a request with an optional JSON body, resolves to the status,
+// headers and parsed body
+export const request = async (url, { method = 'GET', body, headers = {} } = {}) => {
+    const res = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await res.text();
+    return {
+        status: res.status,
+        headers: res.headers,
+        body: text ? JSON.parse(text) : null,
+    };
+};
+
+// Start a run and save a score for it
+export const save = async (url, body, board) => {
+    const { body: started } = await request(`${url}/session/start`, {
+        method: 'POST',
+        body: board ? { board } : {},
+    });
+
+    return request(`${url}/leaderboard${board ? `/${board}` : ''}/save`, {
+        method: 'POST',
+        body: { session: started.session, ...body },
+    });
+};
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { startApp, request, save } from './helpers';
+import LeaderboardIndex from '../src/leaderboardIndex';
+
+test('invalid saves get a 400 listing every bad field', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const { status, body } = await save(app.url, { name: '', score: -1, run: { duration: 5, foods: 'a', blazes: 0, peakSize: 10 } });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body, {
+        success: false,
+        error: 'invalid_request',
+        message: 'The request has invalid fields',
+        fields: [
+            { field: 'name', code: 'required', message: 'name is required' },
+            { field: 'score', code: 'too_small', message: 'score must be at least 0' },
+            { field: 'run', code: 'invalid_field', message: 'run foods must be a whole number' },
+        ],
+    });
+
+    const inconsistent = await save(app.url, { name: 'Munchy', score: 20, run: { duration: 5, foods: 1, blazes: 0, peakSize: 10 } });
+    assert.strictEqual(inconsistent.status, 400);
+    assert.deepStrictEqual(inconsistent.body.fields.map(f => f.code), ['inconsistent']);
+});
+
+test('blocked names are turned away before the session is used', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const { body: started } = await request(`${app.url}/session/start`, { method: 'POST', body: {} });
+    const blocked = await request(`${app.url}/leaderboard/save`, {
+        method: 'POST',
+        body: { session: started.session, name: 'xXfuckXx', score: 5 },
+    });
+    assert.strictEqual(blocked.status, 400);
+    assert.deepStrictEqual(blocked.body.fields, [{ field: 'name', code: 'blocked', message: 'name is not allowed' }]);
+
+    const renamed = await request(`${app.url}/leaderboard/save`, {
+        method: 'POST',
+        body: { session: started.session, name: 'Scunthorpe', score: 5 },
+    });
+    assert.strictEqual(renamed.status, 200);
+});
+
+test('saves are ranked best score first', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const first = await save(app.url, { name: 'First', score: 10 });
+    const second = await save(app.url, { name: 'Second', score: 20 });
+    const tied = await save(app.url, { name: 'Tied', score: 10 });
+
+    assert.strictEqual(first.body.rank, 1);
+    assert.strictEqual(second.body.rank, 1);
+    // ties go to whoever got there first
+    assert.strictEqual(tied.body.rank, 3);
+
+    const { body } = await request(`${app.url}/leaderboard`);
+    assert.deepStrictEqual(body.scores.map(s => s.name), ['Second', 'First', 'Tied']);
+    assert.strictEqual(body.total, 3);
+
+    const around = await request(`${app.url}/leaderboard/around/${first.body.id}?count=0`);
+    assert.strictEqual(around.body.rank, 2);
+});
+
+test('the index keeps hidden records out of the ranks', () => {
+    const index = new LeaderboardIndex();
+    index.load([
+        { _id: 'a', name: 'A', score: 5, dateCreated: 1 },
+        { _id: 'b', name: 'B', score: 9, dateCreated: 2, hidden: true },
+        { _id: 'c', name: 'C', score: 7, dateCreated: 3 },
+        { _id: 'd', score: 8 },
+    ]);
+
+    assert.deepStrictEqual(index.list().map(e => e.id), ['c', 'a']);
+    assert.strictEqual(index.rankOf('a'), 2);
+    assert.strictEqual(index.rankOf('b'), 0);
+    assert.strictEqual(index.rankOf('d'), 0);
+
+    index.set({ id: 'b', name: 'B', score: 9, dateCreated: 2 });
+    assert.strictEqual(index.rankOf('b'), 1);
+    assert.strictEqual(index.rankOf('a'), 3);
+
+    index.remove('c');
+    assert.deepStrictEqual(index.list().map(e => e.id), ['b', 'a']);
+});
+
+test('an unchanged board is answered with a 304', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    await save(app.url, { name: 'Munchy', score: 10 });
+
+    const { status, headers } = await request(`${app.url}/leaderboard`);
+    const etag = headers.get('ETag');
+    assert.strictEqual(status, 200);
+    assert.ok(etag);
+
+    const cached = await request(`${app.url}/leaderboard`, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(cached.status, 304);
+
+    // another page is another response
+    const page = await request(`${app.url}/leaderboard?limit=1`, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(page.status, 200);
+
+    await save(app.url, { name: 'Chompy', score: 20 });
+    const changed = await request(`${app.url}/leaderboard`, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(changed.status, 200);
+    assert.notStrictEqual(changed.headers.get('ETag'), etag);
+});
+
+test('a record can only be deleted with its own token', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const mine = await save(app.url, { name: 'Mine', score: 10 });
+    const theirs = await save(app.url, { name: 'Theirs', score: 20 });
+    assert.match(mine.body.deleteToken, /^[0-9a-f]{48}$/);
+
+    // only a hash of the token is stored
+    const stored = await app.storage.get('leaderboard');
+    assert.ok(stored.every(r => r.deleteToken && r.deleteToken !== mine.body.deleteToken));
+
+    const wrong = await request(`${app.url}/leaderboard/${theirs.body.id}`, {
+        method: 'DELETE',
+        body: { token: mine.body.deleteToken },
+    });
+    assert.strictEqual(wrong.status, 403);
+    assert.strictEqual(wrong.body.error, 'invalid_token');
+
+    const missing = await request(`${app.url}/leaderboard/${mine.body.id}`, { method: 'DELETE', body: {} });
+    assert.strictEqual(missing.status, 400);
+
+    const removed = await request(`${app.url}/leaderboard/default/${mine.body.id}`, {
+        method: 'DELETE',
+        body: { token: mine.body.deleteToken },
+    });
+    assert.strictEqual(removed.status, 200);
+
+    const { body } = await request(`${app.url}/leaderboard`);
+    assert.deepStrictEqual(body.scores.map(s => s.name), ['Theirs']);
+    assert.deepStrictEqual((await app.storage.get('leaderboard')).map(r => r._id), [theirs.body.id]);
+
+    // the token is used up with its record
+    const again = await request(`${app.url}/leaderboard/${mine.body.id}`, {
+        method: 'DELETE',
+        body: { token: mine.body.deleteToken },
+    });
+    assert.strictEqual(again.status, 403);
+});
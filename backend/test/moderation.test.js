@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { isBlocked, moderateName } from '../src/moderation';
+
+test('blocked words are caught however they are written', () => {
+    [
+        'fuck',
+        'FUCK',
+        'xXfuckXx',
+        'fuckyou',
+        'fuuuuck',
+        'F u_C k',
+        '5h1t',
+        'sh!t',
+        'fück',
+    ].forEach((name) => {
+        assert.ok(isBlocked(name), name);
+    });
+});
+
+test('innocent names are left alone', () => {
+    [
+        'Munchy',
+        'Scunthorpe',
+        'Shiitake Fan',
+        'snigger',
+        'niger',
+        'Flame Retardant',
+    ].forEach((name) => {
+        assert.ok(!isBlocked(name), name);
+    });
+});
+
+test('allowed words only cover themselves', () => {
+    assert.ok(isBlocked('ScunthorpeCunt'));
+    assert.ok(isBlocked('shitakeshit'));
+});
+
+test('blocked names are rejected by default', () => {
+    assert.deepStrictEqual(moderateName('Munchy'), { name: 'Munchy' });
+    assert.deepStrictEqual(moderateName('fuckyou'), { rejected: true });
+});
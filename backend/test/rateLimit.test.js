@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { startApp, request, save } from './helpers';
+import rateLimit from '../src/rateLimit';
+
+test('requests over the limit get a 429 with Retry-After', async (t) => {
+    const app = await startApp({
+        setup: (server) => {
+            server.post('/leaderboard/save', rateLimit({ ip: '10/60', device: '2/60' }));
+        },
+    });
+    t.after(() => app.close());
+
+    const saves = [];
+    for (let i = 0; i < 3; i++) {
+        saves.push(await request(`${app.url}/leaderboard/save`, {
+            method: 'POST',
+            body: { name: 'Munchy', score: 1 },
+            headers: { 'X-Device-Id': 'device-a' },
+        }));
+    }
+
+    // the first two get as far as validation
+    assert.deepStrictEqual(saves.map(s => s.status), [400, 400, 429]);
+    assert.strictEqual(saves[2].body.error, 'rate_limited');
+
+    const retryAfter = parseInt(saves[2].headers.get('Retry-After'), 10);
+    assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+
+    // another device on the same connection has its own allowance
+    const other = await save(app.url, { name: 'Chompy', score: 1 });
+    assert.strictEqual(other.status, 200);
+});
+
+test('the IP limit covers every device', async (t) => {
+    const app = await startApp({
+        setup: (server) => {
+            server.get('/leaderboard', rateLimit({ ip: '2/60' }));
+        },
+    });
+    t.after(() => app.close());
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        statuses.push((await request(`${app.url}/leaderboard`, { headers: { 'X-Device-Id': `device-${i}` } })).status);
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 429]);
+});
+
+test('a limit has to be <requests>/<seconds>', () => {
+    assert.throws(() => rateLimit({ ip: '10' }), /Invalid rate limit/);
+    assert.throws(() => rateLimit({ device: '0/60' }), /Invalid rate limit/);
+});
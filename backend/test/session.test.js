@@ -0,0 +1,63 @@
+import 'babel-polyfill';
+import test from 'node:test';
+import assert from 'node:assert';
+
+import MemoryStorage from '../src/storage/memory';
+import { issueSession, redeemSession } from '../src/session';
+
+test('a session can only be redeemed once', async () => {
+    const storage = new MemoryStorage();
+    const token = issueSession();
+
+    assert.strictEqual(await redeemSession(storage, token, 10), null);
+    assert.strictEqual((await redeemSession(storage, token, 10)).code, 'session_used');
+});
+
+test('a session redeemed by another instance is used', async () => {
+    const token = issueSession();
+    const [id, issued] = token.split('.');
+
+    // this process hasn't seen it, but storage has
+    const storage = new MemoryStorage({
+        redeemedSessions: { [id]: { expires: parseInt(issued, 10) + 3600 } },
+    });
+    assert.strictEqual((await redeemSession(storage, token, 10)).code, 'session_used');
+});
+
+test('a session expires', async (t) => {
+    const storage = new MemoryStorage();
+    const token = issueSession();
+
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    t.mock.method(Date, 'now', () => later);
+
+    assert.strictEqual((await redeemSession(storage, token, 10)).code, 'session_expired');
+});
+
+test('a score that could not be reached in the time played is turned away', async (t) => {
+    const storage = new MemoryStorage();
+    const token = issueSession();
+
+    assert.strictEqual((await redeemSession(storage, token, 1000)).code, 'score_unreachable');
+
+    // a minute later it could have been
+    const later = Date.now() + 60 * 1000;
+    t.mock.method(Date, 'now', () => later);
+    assert.strictEqual(await redeemSession(storage, token, 1000), null);
+});
+
+test('a session only works for its own board', async () => {
+    const storage = new MemoryStorage();
+
+    assert.strictEqual((await redeemSession(storage, issueSession('daily-2020-01-01'), 10)).code, 'session_wrong_board');
+    assert.strictEqual(await redeemSession(storage, issueSession('daily-2020-01-01'), 10, 'daily-2020-01-01'), null);
+});
+
+test('a changed session is not valid', async () => {
+    const storage = new MemoryStorage();
+    const [id, issued, board, signature] = issueSession().split('.');
+
+    assert.strictEqual((await redeemSession(storage, `${id}.${issued - 600}.${board}.${signature}`, 10)).code, 'session_invalid');
+    assert.strictEqual((await redeemSession(storage, `${id}.${issued}.hard.${signature}`, 10, 'hard')).code, 'session_invalid');
+    assert.strictEqual((await redeemSession(storage, '', 10)).code, 'session_missing');
+});
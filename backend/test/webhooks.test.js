@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import http from 'http';
+
+import { startApp, request, save } from './helpers';
+
+// A webhook endpoint that fails the first delivery and takes the next
+const startListener = () => new Promise((resolve) => {
+    const received = [];
+    let waiting = null;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = received.length === 1 ? 500 : 204;
+            res.end();
+            if (waiting && received.length >= waiting.count) {
+                waiting.done();
+            }
+        });
+    });
+
+    server.listen(0, () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            received,
+            // resolves once `count` deliveries came in
+            waitFor: count => new Promise((done) => {
+                waiting = { count, done };
+                if (received.length >= count) {
+                    done();
+                }
+            }),
+            close: () => new Promise(done => server.close(done)),
+        });
+    });
+});
+
+// Check something until it holds, a delivery is written after its
+// response came in
+const eventually = async (check, tries = 50) => {
+    for (let i = 1; ; i++) {
+        try {
+            return await check();
+        } catch (err) {
+            if (i >= tries) {
+                throw err;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+};
+
+test('a failed delivery is tried again', async (t) => {
+    const listener = await startListener();
+    t.after(() => listener.close());
+
+    // the webhooks are read when the module loads, so it can only be
+    // loaded once the listener has its port
+    process.env.WEBHOOKS = JSON.stringify([{ url: listener.url, top: 1, secret: 'shh' }]);
+    process.env.WEBHOOK_ATTEMPTS = '3';
+    process.env.ADMIN_TOKEN = 'admin';
+    const webhooks = require('../src/webhooks').default;
+
+    const app = await startApp({ webhooks });
+    t.after(() => app.close());
+    const saved = await save(app.url, { name: 'Munchy', score: 10 });
+    assert.strictEqual(saved.body.rank, 1);
+
+    // the first try fails and the retry a second later gets through
+    await listener.waitFor(2);
+    const [failed, delivered] = listener.received;
+    assert.strictEqual(delivered.body, failed.body);
+
+    const payload = JSON.parse(delivered.body);
+    assert.strictEqual(payload.event, 'new_first');
+    assert.strictEqual(payload.entry.id, saved.body.id);
+    assert.strictEqual(payload.text, 'Munchy takes #1 on default with 10!');
+
+    const signature = crypto.createHmac('sha256', 'shh').update(delivered.body).digest('hex');
+    assert.strictEqual(delivered.headers['x-webhook-signature'], `sha256=${signature}`);
+
+    await eventually(async () => {
+        const { body } = await request(`${app.url}/admin/webhooks`, { headers: { Authorization: 'Bearer admin' } });
+        assert.strictEqual(body.deliveries.length, 1);
+        assert.strictEqual(body.deliveries[0].status, 'delivered');
+        assert.deepStrictEqual(body.deliveries[0].attempts.map(a => a.status), [500, 204]);
+        // the url is only shown up to the host
+        assert.strictEqual(body.deliveries[0].url, `${listener.url.replace('/hook', '')}/...`);
+    });
+
+    // a score that doesn't reach the top isn't announced
+    await save(app.url, { name: 'Chompy', score: 5 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(listener.received.length, 2);
+});
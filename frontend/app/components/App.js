@@ -6,12 +6,17 @@ import SetScore from './SetScore';
 export default class App extends Component {
 	state = {
 		score: 0,
+		session: null,
+		board: 'default',
+		run: null,
+		record: null,
 		view: 'game',
 	};
 
 	componentDidMount() {
 		window.setAppView = view => { this.setState({ view }); }
-		window.setScore = score => { this.setState({ score }); }
+		window.setScore = (score, { session, board, run }) => { this.setState({ score, session, board, run }); }
+		window.setRecord = record => { this.setState({ record }); }
 	}
 
 	render() {
@@ -25,14 +30,14 @@ export default class App extends Component {
 		if (this.state.view === 'setScore') {
 			return (
 				<div>
-					<SetScore score={this.state.score} />
+					<SetScore score={this.state.score} session={this.state.session} board={this.state.board} run={this.state.run} />
 				</div>
 			)
 		}
 		if (this.state.view === 'leaderboard') {
 			return (
 				<div>
-					<Leaderboard />
+					<Leaderboard board={this.state.board} record={this.state.record} />
 				</div>
 			)
 		}
@@ -39,12 +39,22 @@ class GameContainer extends Component {
               <div class='center'>
                 <div id='banner'>Game Title</div>
                 <div id='button'>Start</div>
+                <div id='daily'>Daily Munch</div>
+                <div id='replay'>Watch Replay</div>
                 <div id='instructions'></div>
               </div>
               <div id='score'>score</div>
               <div id='lives'>lives</div>
               <i id='mute' class='material-icons'>volume_up</i>
               <i id='pause' class='material-icons'>pause</i>
+              <i id='importReplay' class='material-icons'>file_upload</i>
+              <input id='replayFile' type='file' accept='.json,application/json' />
+              <div id='replayControls'>
+                <i id='replayPause' class='material-icons'>pause</i>
+                <span id='replaySpeed'>1x</span>
+                <i id='replayExport' class='material-icons'>file_download</i>
+                <i id='replayExit' class='material-icons'>close</i>
+              </div>
             </div>
           </div>
         </div>
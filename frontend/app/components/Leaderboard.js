@@ -1,10 +1,71 @@
 
 import { h, Component } from 'preact';
+import PropTypes from 'prop-types';
 import Koji from 'koji-tools';
 
+import { getDeleteToken, forgetDeleteToken } from '../utils/deleteTokens';
+
+const pageSize = 100;
+
+// how often to refresh when live updates aren't available
+const pollInterval = 15000;
+
+const windows = [
+  { key: 'day', label: 'Today' },
+  { key: 'week', label: 'This week' },
+  { key: 'all', label: 'All time' },
+];
+
+// time left as e.g. "2d 4h 10m 5s"
+const formatCountdown = (seconds) => {
+  const parts = [
+    [Math.floor(seconds / 86400), 'd'],
+    [Math.floor(seconds / 3600) % 24, 'h'],
+    [Math.floor(seconds / 60) % 60, 'm'],
+    [seconds % 60, 's'],
+  ];
+  const first = parts.findIndex(([value]) => value > 0);
+
+  return parts
+    .slice(first === -1 ? parts.length - 1 : first)
+    .map(([value, unit]) => `${value}${unit}`)
+    .join(' ');
+};
+
+// how a score was made, e.g. "2m 5s · 40 munched · 3 blazes · 87% full"
+const formatRun = ({ duration, foods, blazes, peakSize }) => [
+  `${duration >= 60 ? `${Math.floor(duration / 60)}m ` : ''}${duration % 60}s`,
+  `${foods} munched`,
+  `${blazes} ${blazes === 1 ? 'blaze' : 'blazes'}`,
+  `${peakSize}% full`,
+].join(' · ');
+
 class Leaderboard extends Component {
+  static propTypes = {
+    board: PropTypes.string,
+    record: PropTypes.shape({
+      id: PropTypes.string,
+      rank: PropTypes.number,
+      board: PropTypes.string,
+    }),
+  };
+
+  static defaultProps = {
+    board: 'default',
+  };
+
   state = {
+    // the board being shown, a season's board while looking at a season
+    viewBoard: (this.props.record && this.props.record.board) || this.props.board,
+    seasons: [],
+    season: null,
+    now: Math.round(Date.now() / 1000),
     scores: [],
+    total: 0,
+    window: 'all',
+    offset: 0,
+    newIds: [],
+    expandedId: null,
     dataIsLoaded: false,
     error: false,
   };
@@ -17,15 +78,180 @@ class Leaderboard extends Component {
     },
     row: {
       backgroundColor: Koji.config.colors.secondaryColor,
+    },
+    activeTab: {
+      backgroundColor: Koji.config.colors.secondaryColor,
+    },
+    playerRow: {
+      backgroundColor: Koji.config.colors.tertiaryColor,
     }
   }
 
   componentDidMount() {
+    if (this.props.record) {
+      this.findRecord(this.props.record.id);
+    } else {
+      this.fetchScores(this.state.window, this.state.offset);
+    }
+
+    this.subscribe();
+    this.fetchSeasons();
+
+    // keep the season countdown ticking
+    this.clock = setInterval(() => this.setState({ now: Math.round(Date.now() / 1000) }), 1000);
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe();
+    clearInterval(this.clock);
+  }
 
-    fetch(`${Koji.config.serviceMap.backend}/leaderboard`)
+  unsubscribe() {
+    if (this.events) {
+      this.events.close();
+      this.events = null;
+    }
+    clearInterval(this.poll);
+  }
+
+  // refresh the board whenever a new entry makes the top 100,
+  // or every so often on browsers without EventSource
+  subscribe() {
+    this.unsubscribe();
+
+    if (window.EventSource) {
+      this.events = new EventSource(`${Koji.config.serviceMap.backend}/leaderboard/${this.state.viewBoard}/stream`);
+      this.events.addEventListener('entry', () => this.refresh());
+    } else {
+      this.poll = setInterval(() => this.refresh(), pollInterval);
+    }
+  }
+
+  // reload the current page and animate rows that weren't there before
+  refresh() {
+    const oldIds = this.state.scores.map(score => score.id);
+
+    this.fetchScores(this.state.window, this.state.offset, (scores) => {
+      const newIds = scores
+        .map(score => score.id)
+        .filter(id => !oldIds.includes(id));
+
+      this.setState({ newIds });
+    });
+  }
+
+  componentDidUpdate() {
+    // scroll the player's row into view once it has been drawn
+    if (this.playerRow && !this.scrolledToPlayer) {
+      this.scrolledToPlayer = true;
+      this.playerRow.scrollIntoView({ block: 'center' });
+    }
+  }
+
+  // seasons run on this board, a score saved during a season
+  // opens with that season picked
+  fetchSeasons() {
+    fetch(`${Koji.config.serviceMap.backend}/seasons`)
       .then((response) => response.json())
-      .then(({ scores }) => {
-        this.setState({ dataIsLoaded: true, scores });
+      .then(({ seasons }) => {
+        const boardSeasons = seasons.filter(season => season.board === this.props.board && season.status !== 'scheduled');
+        const season = boardSeasons.find(({ seasonBoard }) => seasonBoard === this.state.viewBoard);
+        this.setState({ seasons: boardSeasons, season: season || null });
+      })
+      .catch(err => {
+        // the main board still works without seasons
+        console.log('Fetch Error: ', err);
+      });
+  }
+
+  // switch between the main board and a season, closed
+  // seasons show their archived final standings
+  pickSeason(season) {
+    this.scrolledToPlayer = false;
+
+    if (season && season.status === 'closed') {
+      this.unsubscribe();
+      this.setState({ season, dataIsLoaded: false });
+
+      fetch(`${Koji.config.serviceMap.backend}/seasons/${season.id}`)
+        .then((response) => response.json())
+        .then(({ success, standings, total }) => {
+          if (!success) {
+            this.setState({ error: true });
+            return;
+          }
+          this.setState({ dataIsLoaded: true, scores: standings, total, offset: 0, newIds: [] });
+        })
+        .catch(err => {
+          console.log('Fetch Error: ', err);
+          this.setState({ error: true });
+        });
+      return;
+    }
+
+    const viewBoard = season ? season.seasonBoard : this.props.board;
+    this.setState({ season, viewBoard }, () => {
+      this.fetchScores('all', 0);
+      this.subscribe();
+    });
+  }
+
+  // remove one of this player's scores with the token
+  // they got when saving it
+  removeScore(id) {
+    const board = this.state.viewBoard;
+    if (!window.confirm('Remove this score from the leaderboard?')) {
+      return;
+    }
+
+    fetch(`${Koji.config.serviceMap.backend}/leaderboard/${board}/${id}`, {
+      method: 'delete',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token: getDeleteToken(board, id) }),
+    })
+      .then((response) => response.json())
+      .then(({ success, error }) => {
+        // a token that no longer works is no use keeping either
+        if (success || error === 'invalid_token') {
+          forgetDeleteToken(board, id);
+        }
+        success && this.refresh();
+      })
+      .catch(err => {
+        console.log('Fetch Error: ', err);
+      });
+  }
+
+  // look up the current rank of the player's record
+  // and open the all time page that contains it
+  findRecord(id) {
+    fetch(`${Koji.config.serviceMap.backend}/leaderboard/${this.state.viewBoard}/around/${id}?count=0`)
+      .then((response) => response.json())
+      .then(({ rank }) => {
+        const offset = rank ? Math.floor((rank - 1) / pageSize) * pageSize : 0;
+        this.fetchScores('all', offset);
+      })
+      .catch(err => {
+        console.log('Fetch Error: ', err);
+        this.setState({ error: true });
+      });
+  }
+
+  fetchScores(window, offset, done) {
+    this.setState({ window, offset, newIds: [] });
+
+    fetch(`${Koji.config.serviceMap.backend}/leaderboard/${this.state.viewBoard}?window=${window}&offset=${offset}&limit=${pageSize}`)
+      .then((response) => response.json())
+      .then(({ success, scores, total }) => {
+        // error replies, e.g. a board that's gone, have no scores
+        if (!success) {
+          this.setState({ error: true });
+          return;
+        }
+        this.setState({ dataIsLoaded: true, scores, total });
+        done && done(scores);
       })
       .catch(err => {
         console.log('Fetch Error: ', err);
@@ -59,6 +285,10 @@ class Leaderboard extends Component {
       );
     }
 
+    // archived seasons can't change, so they have no windows or pages
+    const archived = this.state.season && this.state.season.status === 'closed';
+    const current = this.state.seasons.find(season => season.status === 'active' && season.end > this.state.now);
+
     return (
       <div id={'leaderboard'} style={this.style.container}>
         <div className={'leaderboard-container'}>
@@ -73,22 +303,107 @@ class Leaderboard extends Component {
               Close
             </div>
           </div>
+          {
+            this.state.seasons.length > 0 &&
+            <div className={'leaderboard-seasons'}>
+              <select
+                className={'leaderboard-season-picker'}
+                value={this.state.season ? this.state.season.id : ''}
+                onChange={(e) => { this.pickSeason(this.state.seasons.find(season => season.id === e.target.value) || null); }}
+              >
+                <option value={''}>{'All scores'}</option>
+                {
+                  this.state.seasons.map(season => (
+                    <option value={season.id} key={season.id}>
+                      {season.status === 'closed' ? `${season.name} (final)` : season.name}
+                    </option>
+                  ))
+                }
+              </select>
+              {
+                current &&
+                <div className={'leaderboard-countdown'}>
+                  {`${current.name} ends in ${formatCountdown(current.end - this.state.now)}`}
+                </div>
+              }
+            </div>
+          }
+          {
+            !archived &&
+            <div className={'leaderboard-tabs'}>
+              {
+                windows.map(({ key, label }) => (
+                  <div
+                    className={'leaderboard-tab'}
+                    key={key}
+                    style={key === this.state.window ? this.style.activeTab : {}}
+                    onClick={() => { this.fetchScores(key, 0); }}
+                  >
+                    {label}
+                  </div>
+                ))
+              }
+            </div>
+          }
           <div className={'leaderboard-contents'}>
             {
-              this.state.scores.map((score, index) => (
-                <div
-                  className={'score-row'}
-                  key={index}
-                  style={this.style.row}
-                >
-                  <div className={'name'}>
-                    {`${index + 1}. ${score.name}`}
-                  </div>
-                  <div className={'score'}>
-                    {score.score}
+              this.state.scores.map((score, index) => {
+                const isPlayer = this.props.record && score.id === this.props.record.id;
+                const isNew = this.state.newIds.includes(score.id);
+                const isExpanded = score.run && score.id === this.state.expandedId;
+                const canRemove = !archived && getDeleteToken(this.state.viewBoard, score.id);
+                return (
+                  <div
+                    className={`score-row${isPlayer ? ' player-row' : ''}${isNew ? ' new-row' : ''}${score.run ? ' has-run' : ''}`}
+                    key={score.id || index}
+                    style={isPlayer ? this.style.playerRow : this.style.row}
+                    ref={isPlayer ? (row) => { this.playerRow = row; } : undefined}
+                    onClick={() => { score.run && this.setState({ expandedId: isExpanded ? null : score.id }); }}
+                  >
+                    <div className={'name'}>
+                      {`${this.state.offset + index + 1}. ${score.name}`}
+                    </div>
+                    <div className={'score'}>
+                      {score.score}
+                    </div>
+                    {
+                      canRemove &&
+                      <div
+                        className={'remove-button'}
+                        onClick={(e) => { e.stopPropagation(); this.removeScore(score.id); }}
+                      >
+                        Remove
+                      </div>
+                    }
+                    {
+                      isExpanded &&
+                      <div className={'run-details'}>
+                        {formatRun(score.run)}
+                      </div>
+                    }
                   </div>
-                </div>
-              ))
+                );
+              })
+            }
+          </div>
+          <div className={'leaderboard-pages'}>
+            {
+              !archived && this.state.offset > 0 &&
+              <div
+                className={'leaderboard-page-button'}
+                onClick={() => { this.fetchScores(this.state.window, Math.max(this.state.offset - pageSize, 0)); }}
+              >
+                Previous
+              </div>
+            }
+            {
+              !archived && this.state.offset + pageSize < this.state.total &&
+              <div
+                className={'leaderboard-page-button'}
+                onClick={() => { this.fetchScores(this.state.window, this.state.offset + pageSize); }}
+              >
+                Next
+              </div>
             }
           </div>
         </div>
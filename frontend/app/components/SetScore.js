@@ -3,15 +3,28 @@ import { h, Component } from 'preact';
 import PropTypes from 'prop-types';
 import Koji from 'koji-tools';
 
+import { getDeviceId } from '../utils/device';
+import { saveDeleteToken } from '../utils/deleteTokens';
+
 class SetScore extends Component {
 	static propTypes = {
 		score: PropTypes.number,
+		session: PropTypes.string,
+		board: PropTypes.string,
+		run: PropTypes.shape({
+			duration: PropTypes.number,
+			foods: PropTypes.number,
+			blazes: PropTypes.number,
+			peakSize: PropTypes.number,
+		}),
 	};
 
 	state = {
 		// email: '',
 		name: '',
 		isSubmitting: false,
+		error: null,
+		fieldErrors: {},
 	};
 
 	style = {
@@ -41,6 +54,10 @@ class SetScore extends Component {
 		}.bind(this), 100);
 	}
 
+	componentWillUnmount() {
+		clearTimeout(this.retryTimeout);
+	}
+
 	handleClose = () => {
 		window.setAppView('game');
 	}
@@ -49,36 +66,92 @@ class SetScore extends Component {
 		e.preventDefault();
 
 		if (this.state.name != '') {
-			this.setState({ isSubmitting: true });
+			this.setState({ isSubmitting: true, error: null, fieldErrors: {} });
 
 			const body = {
 				name: this.state.name,
 				score: this.props.score,
+				session: this.props.session,
+				run: this.props.run,
+				deviceId: getDeviceId(),
 				// privateAttributes: {
 				//    email: this.state.email,
 				// },
 			};
 
-			fetch(`${Koji.config.serviceMap.backend}/leaderboard/save`, {
+			fetch(`${Koji.config.serviceMap.backend}/leaderboard/${this.props.board}/save`, {
 				method: 'post',
 				headers: {
 					'Content-Type': 'application/json',
+					'X-Device-Id': getDeviceId(),
 				},
 				body: JSON.stringify(body),
 			})
-				.then((response) => response.json())
-				.then((jsonResponse) => {
-					// console.log(jsonResponse);
+				.then((response) => {
+					// players can quote this when reporting a problem
+					this.requestId = response.headers.get('X-Request-Id');
 
+					// keep the button disabled while we are rate limited
+					if (response.status === 429) {
+						const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 10;
+						this.waitToRetry(retryAfter);
+					}
+
+					return response.json();
+				})
+				.then((jsonResponse) => {
+					if (!jsonResponse.success) {
+						this.showErrors(jsonResponse);
+						return;
+					}
+
+					// keep the token so the player can remove this score later
+					if (jsonResponse.deleteToken) {
+						saveDeleteToken({ board: jsonResponse.board, id: jsonResponse.id, token: jsonResponse.deleteToken });
+					}
+
+					// let the leaderboard find the new entry
+					window.setRecord({ id: jsonResponse.id, rank: jsonResponse.rank, board: jsonResponse.board });
 					window.setAppView('leaderboard');
 				})
-				.catch(err => {
-					console.log(err);
+				.catch(() => {
+					this.setState({
+						isSubmitting: false,
+						error: 'Could not reach the leaderboard, please try again',
+					});
 				});
 
 		}
 	}
 
+	// tell the player to wait, then let them submit again
+	waitToRetry(seconds) {
+		clearTimeout(this.retryTimeout);
+		this.retryTimeout = setTimeout(() => {
+			this.setState({ isSubmitting: false, error: null });
+		}, seconds * 1000);
+	}
+
+	// show field errors next to their inputs, and everything
+	// else in the message above the submit button
+	showErrors({ error, message, fields = [] }) {
+		const fieldErrors = fields
+			.filter(({ field }) => field === 'name' || field === 'score')
+			.reduce((errors, { field, message }) => ({ ...errors, [field]: message }), {});
+
+		const otherErrors = fields.length > 0 ?
+			fields.filter(({ field }) => !fieldErrors[field]).map(({ message }) => message) :
+			[message];
+
+		const reference = this.requestId ? ` (ref ${this.requestId.slice(0, 8)})` : '';
+
+		this.setState({
+			isSubmitting: error === 'rate_limited',
+			fieldErrors,
+			error: otherErrors.length > 0 ? `${otherErrors.join(', ')}${reference}` : null,
+		});
+	}
+
 	render() {
 		return (
 			<div style={this.style.container}>
@@ -100,6 +173,9 @@ class SetScore extends Component {
 								value={this.props.score}
 								style={this.style.input}
 							/>
+							{this.state.fieldErrors.score &&
+								<div className={'input-error'}>{this.state.fieldErrors.score}</div>
+							}
 						</div>
 
 						<div className={'input-wrapper'}>
@@ -115,6 +191,9 @@ class SetScore extends Component {
 								style={this.style.input}
 								ref={(input) => { this.nameInput = input; }}
 							/>
+							{this.state.fieldErrors.name &&
+								<div className={'input-error'}>{this.state.fieldErrors.name}</div>
+							}
 						</div>
 
 						{/*
@@ -130,6 +209,10 @@ class SetScore extends Component {
 						</div>
 						*/}
 
+						{this.state.error &&
+							<div className={'form-error'}>{this.state.error}</div>
+						}
+
 						<button
 							disabled={this.state.isSubmitting}
 							onClick={this.handleSubmit}
@@ -0,0 +1,42 @@
+/**
+ * app/utils/deleteTokens.js
+ *
+ * What it Does:
+ *   This file keeps the delete tokens the leaderboard gives out with each
+ *   saved score, so players can remove their own scores later
+ *
+ *   saveDeleteToken: remember the token for a saved record
+ *   getDeleteToken: get the token for a record, if this device saved it
+ *   forgetDeleteToken: drop the token once the record is gone
+ *
+ */
+
+const deleteTokensKey = 'munchys-delete-tokens';
+
+const load = () => {
+    try {
+        return JSON.parse(localStorage.getItem(deleteTokensKey)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+const store = tokens => localStorage.setItem(deleteTokensKey, JSON.stringify(tokens));
+
+const saveDeleteToken = ({ board, id, token }) => {
+    store({ ...load(), [`${board}/${id}`]: token });
+}
+
+const getDeleteToken = (board, id) => load()[`${board}/${id}`];
+
+const forgetDeleteToken = (board, id) => {
+    const tokens = load();
+    delete tokens[`${board}/${id}`];
+    store(tokens);
+}
+
+export {
+    saveDeleteToken,
+    getDeleteToken,
+    forgetDeleteToken
+};
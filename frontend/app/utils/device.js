@@ -0,0 +1,32 @@
+/**
+ * app/utils/device.js
+ *
+ * What it Does:
+ *   This file contains device related utilities for the app
+ *
+ *   getDeviceId: get a random id for this device, it is made once and
+ *   kept in local storage. It isn't tied to the player in any way, it only
+ *   lets the backend tell devices apart.
+ *
+ */
+
+const deviceIdKey = 'munchys-device-id';
+
+// get (or make) this device's id
+const getDeviceId = () => {
+    let id = localStorage.getItem(deviceIdKey);
+
+    if (!id) {
+        id = Array.apply(null, { length: 4 })
+        .map(() => Math.random().toString(16).slice(2, 10))
+        .join('-');
+
+        localStorage.setItem(deviceIdKey, id);
+    }
+
+    return id;
+}
+
+export {
+    getDeviceId
+};
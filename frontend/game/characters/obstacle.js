@@ -20,12 +20,18 @@ class Obstacle extends ImageSprite {
         this.type = options.type;
         this.active = true;
         this.munches = 0;
-        this.bounds = {
-            top: -200,
-            right: 2000,
-            left: -200,
-            bottom: 2000
-        };
+    }
+
+    // obstacles fall in from above the screen, so they get room around
+    // its edges. below it they need room for their whole height too, or
+    // tall ones would stop at the bottom and never fall off
+    setBounds({ top, right, bottom, left }) {
+        super.setBounds({
+            top: top - 200,
+            right: right + 200,
+            bottom: bottom + this.height + 200,
+            left: left - 200
+        });
     }
 
     munch() {
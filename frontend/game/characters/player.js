@@ -21,12 +21,15 @@ class Player extends ImageSprite {
         this.originalWidth = options.width;
         this.originalHeight = options.height;
 
+        // the player bursts when they grow past this width
+        this.maxWidth = options.maxWidth;
+
         this.images = options.images;
     }
 
     update() {
         // update player image
-        let max = this.ctx.canvas.width / 2; // get max player width
+        let max = this.maxWidth; // get max player width
         let i = (this.width / max) * this.images.length; // get index matching width
         let idx = bounded(Math.round(i) - 1, 0, this.images.length - 1)
         this.image = this.images[idx]; // set player image
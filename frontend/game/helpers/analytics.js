@@ -0,0 +1,90 @@
+/**
+ * game/helpers/analytics.js
+ *
+ * What it Does:
+ *   This file collects gameplay events (runs starting and ending, pausing,
+ *   muting, assets failing to load) and sends them to the backend in batches
+ *   so we can see how runs actually go when tuning the game
+ *
+ *   track: queues an event, it is sent with the next batch
+ *   startRun: begins a new run, later events are tagged with it
+ *   flush: sends everything queued right away
+ *
+ *   events are sent every few seconds, when the queue fills up, and when
+ *   the page is hidden so the last events of a session aren't lost
+ *
+ * What to Change:
+ *   Add new event types here and to the backend in backend/src/analytics.js
+ *
+ */
+
+class Analytics {
+    constructor({ url, batchSize = 20, interval = 10000 }) {
+        this.url = url;
+        this.batchSize = batchSize;
+        this.queue = [];
+        this.run = null;
+
+        this.timer = setInterval(() => this.flush(), interval);
+
+        // send what we have before the page goes away
+        this.handleVisibility = () => document.visibilityState === 'hidden' && this.flush();
+        document.addEventListener('visibilitychange', this.handleVisibility);
+    }
+
+    // start a new run and return its id
+    startRun() {
+        this.run = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.track('run_started');
+        return this.run;
+    }
+
+    // end the current run
+    endRun(data) {
+        if (!this.run) { return; }
+
+        this.track('run_ended', data);
+        this.run = null;
+    }
+
+    track(type, data = {}) {
+        this.queue.push({
+            type,
+            time: Date.now(),
+            ...(this.run ? { run: this.run } : {}),
+            ...data
+        });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.url || this.queue.length === 0) { return; }
+
+        const events = this.queue.splice(0, this.batchSize);
+
+        // keepalive lets the request finish after the page is closed
+        fetch(`${this.url}/analytics`, {
+            method: 'post',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events }),
+            keepalive: true
+        })
+        .then(() => this.queue.length >= this.batchSize && this.flush())
+        .catch(() => {
+            // analytics are best effort, put the events back to try again
+            // later but don't let the queue grow forever
+            this.queue = events.concat(this.queue).slice(-this.batchSize * 5);
+        });
+    }
+
+    destroy() {
+        this.flush();
+        clearInterval(this.timer);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+    }
+}
+
+export default Analytics;
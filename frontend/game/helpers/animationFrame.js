@@ -7,13 +7,14 @@
  * 
  *   requestAnimationFrame: takes a function we want to run.
  *   in the case of this game play() runs the function when the browser is ready
- *   and returns an integer representing the times it has been called.
- *   this way the game can keep track of frames and not continue calling play()
- *   when the browser is not in focus. The browser allows a new frame about every 60 seconds.
+ *   and returns a handle that can be used to cancel it.
+ *   the browser doesn't call play() when it is not in focus, and how often it
+ *   does depends on the screen, usually 60 times a second but 120 or more on some.
+ *   the game counts its own ticks so it plays the same either way
  * 
  *   checkout the requestFrame method in game/main.js that extends requestAnimationFrame
  * 
- *   cancelAnimationFrame: takes the frame number and cancels the animation
+ *   cancelAnimationFrame: takes the frame handle and cancels the animation
  *   checkout the cancelFrame method in game/main.js that extends cancelAnimationFrame
  * 
  * Learn more:
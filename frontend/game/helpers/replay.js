@@ -0,0 +1,155 @@
+/**
+ * game/helpers/replay.js
+ *
+ * What it Does:
+ *   This file records runs so they can be watched again
+ *
+ *   Replay: keeps a run's seed, screen size, settings, and the left and
+ *   right input of every tick. the game rules only depend on those
+ *   (see game/simulation.js), so stepping a new simulation with the
+ *   same input plays the exact same run, in the browser or in Node
+ *
+ *   record: adds the input for one tick
+ *   recordResize: adds a screen size change, the run is fitted to the new
+ *   size before the next tick (see resize in game/simulation.js)
+ *   resizesAt: gives back the screen sizes to switch to before a tick
+ *   next: gives back the input for the next tick, null after the last one
+ *   rewind: start giving back input from the first tick again
+ *   toJSON and Replay.fromJSON: save and load replays as JSON
+ *
+ * What to Change:
+ *   Bump the version when the game rules change,
+ *   old replays won't play the same with new rules
+ *
+ */
+
+// replays from another version won't load
+const version = 2;
+
+// the input for a tick packed into a number
+const pack = ({ left, right }) => (left ? 1 : 0) + (right ? 2 : 0);
+const unpack = (n) => ({ left: (n & 1) === 1, right: (n & 2) === 2 });
+
+const isCount = n => Number.isInteger(n) && n >= 0;
+
+// the difficulty settings the game rules need, see applySettings in game/main.js
+const settingNames = ['playerSize', 'obstacleSize', 'spawnInterval', 'gameOverThreshold', 'gameSpeed'];
+const isSetting = n => typeof n === 'number' && isFinite(n) && n > 0;
+
+class Replay {
+    constructor({ seed, screen, settings, inputs = [], resizes = [], ticks = 0, score = null }) {
+        this.seed = seed;
+        this.screen = screen; // width and height of the screen played on
+        this.settings = settings; // difficulty settings played with
+
+        // runs of the same input, kept as [input, ticks, input, ticks, ...]
+        // players hold a direction for many ticks so this stays small
+        this.inputs = inputs;
+        this.ticks = ticks;
+
+        // screen size changes, [tick, width, height]
+        this.resizes = resizes;
+
+        // final score, to check a replay plays the same
+        this.score = score;
+
+        this.rewind();
+    }
+
+    record(input) {
+        let value = pack(input);
+        let last = this.inputs.length - 2;
+
+        if (last >= 0 && this.inputs[last] === value) {
+            this.inputs[last + 1] += 1;
+        } else {
+            this.inputs.push(value, 1);
+        }
+
+        this.ticks += 1;
+    }
+
+    recordResize({ width, height }) {
+        this.resizes.push([this.ticks, width, height]);
+    }
+
+    rewind() {
+        this.cursor = { index: 0, ticks: 0, resize: 0 };
+    }
+
+    next() {
+        let { index, ticks } = this.cursor;
+        if (index >= this.inputs.length) { return null; }
+
+        let value = this.inputs[index];
+
+        // move on to the next run of input
+        if (ticks + 1 >= this.inputs[index + 1]) {
+            this.cursor.index = index + 2;
+            this.cursor.ticks = 0;
+        } else {
+            this.cursor.ticks = ticks + 1;
+        }
+
+        return unpack(value);
+    }
+
+    resizesAt(tick) {
+        let sizes = [];
+
+        while (this.cursor.resize < this.resizes.length && this.resizes[this.cursor.resize][0] <= tick) {
+            let [, width, height] = this.resizes[this.cursor.resize];
+            sizes.push({ width, height });
+            this.cursor.resize += 1;
+        }
+
+        return sizes;
+    }
+
+    get done() {
+        return this.cursor.index >= this.inputs.length;
+    }
+
+    toJSON() {
+        return {
+            version,
+            seed: this.seed,
+            screen: this.screen,
+            settings: this.settings,
+            ticks: this.ticks,
+            score: this.score,
+            inputs: this.inputs,
+            resizes: this.resizes
+        };
+    }
+
+    // load a replay from JSON or a parsed object,
+    // throws when it isn't a replay we can play
+    static fromJSON(json) {
+        let data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!data || data.version !== version) {
+            throw new Error('Replay is from another version of the game');
+        }
+
+        let { seed, screen, settings, inputs, resizes = [], ticks } = data;
+
+        let valid = isCount(seed) &&
+            screen && screen.width > 0 && screen.height > 0 &&
+            settings && typeof settings === 'object' &&
+            settingNames.every(name => isSetting(settings[name])) &&
+            Array.isArray(inputs) && inputs.length % 2 === 0 &&
+            inputs.every(isCount) &&
+            inputs.filter((n, i) => i % 2 === 1).reduce((sum, n) => sum + n, 0) === ticks &&
+            Array.isArray(resizes) &&
+            resizes.every(r => Array.isArray(r) && r.length === 3 && r.every(isCount) && r[1] > 0 && r[2] > 0);
+
+        if (!valid) {
+            throw new Error('Replay is damaged');
+        }
+
+        return new Replay(data);
+    }
+}
+
+export default Replay;
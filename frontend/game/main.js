@@ -9,15 +9,21 @@
  *   
  *   Create: is where game elements and characters are created
  *   
- *   Play: is where game characters are updated according to game play
- *   before drawing a new frame to the screen, and calling play again
+ *   Play: is the game loop. it runs update a fixed number of times a second
+ *   (see tickRate), then draws a new frame to the screen, and calls play again
  *   this creates an animation just like the pages of a flip book
+ *
+ *   Update: is where game characters are updated according to game play
+ *   the rules themselves are in game/simulation.js
+ *
+ *   Draw: is where the game characters are drawn to the screen
  * 
  *   Other parts include boilerplate for requesting and canceling new frames
  *   handling input events, pausing, muting, etc.
  * 
  * What to Change:
- *   Most things to change will be in the play function
+ *   Most things to change will be in the update function
+ *   or the game rules in game/simulation.js
  */
 
 import Koji from 'koji-tools';
@@ -27,6 +33,9 @@ import {
     cancelAnimationFrame
 } from './helpers/animationFrame.js';
 
+import Analytics from './helpers/analytics.js';
+import Replay from './helpers/replay.js';
+
 import {
     loadList,
     loadImage,
@@ -42,19 +51,12 @@ import preventParent from 'prevent-parent';
 
 import {
     hashCode,
-    randomBetween,
-    bounded,
-    throttled,
-    pickFromList
+    throttled
 } from './utils/baseUtils.js';
 
 import {
-    resize
-} from './utils/imageUtils.js';
-
-import {
-    getDistance
-} from './utils/spriteUtils.js';
+    createSeed
+} from './utils/random.js';
 
 import {
     canvasInputPosition
@@ -65,16 +67,29 @@ import {
     BlastWave,
 } from './objects/effects.js';
 
-import Player from './characters/player.js';
-import Obstacle from './characters/obstacle.js';
-import { collideDistance } from './utils/spriteUtils.js';
+import Simulation, {
+    tickRate,
+    step,
+    createScreen
+} from './simulation.js';
+
+// most time (in ms) to catch up on after a slow frame
+const maxElapsed = 250;
 
 class Game {
 
-    constructor(canvas, overlay, topbar, config) {
+    constructor(canvas, overlay, topbar, config, options = {}) {
         this.config = config; // customization
         this.overlay = overlay; // overlay
 
+        // a seed to start every run with, eg. to play the same run
+        // again. without one each run gets a new seed
+        this.seed = options.seed;
+
+        // difficulty overrides from the backend, kept apart
+        // from the config so it's never changed (see fetchTuning)
+        this.tuning = {};
+
         // set topbar
         this.topbar = topbar;
         this.topbar.active = config.settings.gameTopBar;
@@ -91,6 +106,9 @@ class Game {
         unlockAudioContext(this.audioCtx);
         this.playlist = [];
 
+        // send gameplay events to the backend
+        this.analytics = new Analytics({ url: this.config.serviceMap.backend });
+
         // setup throttled functions
         this.throttledBlastWave = throttled(600, (bw) => new BlastWave(bw));
         this.throttledBurst = throttled(300, (br) => new Burst(br));
@@ -107,6 +125,9 @@ class Game {
         // handle overlay clicks
         this.overlay.root.addEventListener('click', (e) => this.handleClicks(e));
 
+        // handle imported replays
+        this.overlay.replayFile.addEventListener('change', (e) => this.handleReplayFile(e));
+
         // handle resize events
         window.addEventListener('resize', () => this.handleResize());
         window.addEventListener("orientationchange", (e) => this.handleResize(e));
@@ -114,7 +135,7 @@ class Game {
         // handle koji config changes
         Koji.on('change', (scope, key, value) => {
             this.config[scope][key] = value;
-            this.cancelFrame(this.frame.count - 1);
+            this.cancelFrame();
             this.load();
         });
 
@@ -122,31 +143,34 @@ class Game {
 
     init() {
         // set canvas
-        this.canvas.width = window.innerWidth; // set game screen width
-        this.canvas.height = this.topbar.active ? window.innerHeight - this.topbar.clientHeight : window.innerHeight; // set game screen height
+        this.fitCanvas();
 
-        // frame count, rate, and time
-        // this is just a place to keep track of frame rate (not set it)
+        // animation frame handle, time of the last frame,
+        // and real time not yet spent on game ticks
         this.frame = {
-            count: 0,
+            handle: null,
             time: Date.now(),
-            rate: null,
-            scale: null
+            accumulator: 0
         };
 
-        // game settings
-        this.playerSize = parseInt(this.config.settings.playerSize);
-        this.obstacleSize = parseInt(this.config.settings.obstacleSize);
-
         this.state = {
             current: 'loading',
             prev: '',
-            score: 0,
-            gameSpeed: parseInt(this.config.settings.gameSpeed),
             paused: false,
+            mode: 'normal',
+            session: null,
+            board: this.config.settings.leaderboardBoard || 'default',
+            seed: null,
+            replayPaused: false,
+            replaySpeed: 1,
             muted: localStorage.getItem(this.prefix.concat('muted')) === 'true'
         };
 
+        // game settings
+        this.applySettings();
+
+        this.daily = null;
+
         this.input = {
             left: false,
             right: false
@@ -156,9 +180,8 @@ class Game {
         this.sounds = {}; // place to keep sounds
         this.fonts = {}; // place to keep fonts
 
-        this.effects = []; // effects
-        this.entities = []; // entities (obstacles, powerups)
-        this.player = {}; // player
+        this.sim = null; // the current run, see game/simulation.js
+        this.replay = null; // the run being recorded or played back
 
         // set topbar and topbar color
         this.topbar.active = this.config.settings.gameTopBar;
@@ -167,19 +190,7 @@ class Game {
 
 
         // set screen
-        this.screen = {
-            top: 0,
-            bottom: this.canvas.height,
-            left: 0,
-            right: this.canvas.width,
-            centerX: this.canvas.width / 2,
-            centerY: this.canvas.height / 2,
-            scale: ((this.canvas.width + this.canvas.height) / 2) / 1000,
-            scaleWidth: (this.canvas.width / 2) / 1000,
-            scaleHeight: (this.canvas.height / 2) / 1000,
-            minSize: ((this.canvas.width + this.canvas.height) / 2) / 20,
-            maxSize: ((this.canvas.width + this.canvas.height) / 2) / 10 
-        };
+        this.screen = createScreen(this.canvas.width, this.canvas.height);
 
         // set document body to backgroundColor
         document.body.style.backgroundColor = this.config.colors.backgroundColor;
@@ -189,10 +200,28 @@ class Game {
 
     }
 
+    // read the difficulty settings, these can be
+    // overridden by the backend (see fetchTuning)
+    applySettings() {
+        const settings = { ...this.config.settings, ...this.tuning };
+        this.settings = {
+            playerSize: parseInt(settings.playerSize),
+            obstacleSize: parseInt(settings.obstacleSize),
+            spawnInterval: parseInt(settings.spawnInterval) || 600,
+            gameOverThreshold: (parseInt(settings.gameOverThreshold) || 50) / 100,
+            gameSpeed: parseInt(settings.gameSpeed)
+        };
+    }
+
     load() {
         // load pictures, sounds, and fonts
         this.init();
 
+        // get difficulty overrides and today's daily
+        // seed while the assets load
+        const tuning = this.fetchTuning();
+        const daily = this.fetchDaily();
+
         if (this.state.backgroundMusic) { this.state.backgroundMusic.pause(); } // stop background music when re-loading
 
         // make a list of assets
@@ -226,57 +255,25 @@ class Game {
             this.sounds = assets.sound;
 
         })
+        .catch((err) => {
+            this.analytics.track('asset_failed', { asset: String((err && err.message) || err).slice(0, 256) });
+            throw err;
+        })
+        .then(() => tuning)
+        .then((overrides) => {
+            // the overrides go over the built-in settings
+            this.tuning = overrides;
+            this.applySettings();
+        })
+        .then(() => daily)
+        .then((info) => {
+            this.daily = info;
+        })
         .then(() => this.create())
         .catch(err => console.error(err));
     }
 
     create() {
-        // create game characters
-        const { top } = this.screen;
-        const {
-            dizzyFaceImage,
-            happyFaceImage,
-            hungryFaceImage,
-            fullFaceImage,
-            sickFaceImage,
-            foodImage1
-        } = this.images;
-
-        // set player size
-        let playerWidth = bounded(this.playerSize * this.screen.scaleHeight, this.screen.minSize, this.screen.maxSize);
-        this.playerSize = resize({
-            image: dizzyFaceImage,
-            width: playerWidth
-        });
-
-
-        let playerX = this.screen.centerX;
-
-        this.player = new Player({
-            ctx: this.ctx,
-            image: dizzyFaceImage,
-            images: [
-                dizzyFaceImage,
-                happyFaceImage,
-                hungryFaceImage,
-                fullFaceImage,
-                sickFaceImage,
-            ],
-            x: playerX,
-            y: top,
-            width: this.playerSize.width,
-            height: this.playerSize.height,
-            speed: this.playerSize.width,
-            bounds: this.screen
-        });
-
-        // set obstacle size
-        let obstacleWidthOpen = bounded(this.obstacleSize * this.screen.scaleHeight, this.screen.minSize, this.screen.maxSize);
-        this.obstacleSize = resize({
-            image: foodImage1,
-            width: obstacleWidthOpen
-        });
-
         // set overlay styles
         this.overlay.setStyles({...this.config.colors, ...this.config.settings});
 
@@ -284,30 +281,64 @@ class Game {
         this.play();
     }
 
+    // the game loop
+    // real time is added up and spent in fixed steps, so the game
+    // plays the same at any frame rate. drawing happens once per
+    // frame, in between the last two steps
     play() {
-        // update game characters
+        // add the time since the last frame, capped so a throttled
+        // tab slows down instead of racing to catch up
+        let now = Date.now();
+        this.frame.accumulator += Math.min(now - this.frame.time, maxElapsed);
+        this.frame.time = now;
 
-        // clear the screen of the last picture
-        this.ctx.fillStyle = this.config.colors.backgroundColor; 
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        // run as many steps as that time allows
+        while (this.frame.accumulator >= step && this.state.current !== 'stop') {
+            this.update();
+            this.frame.accumulator -= step;
+        }
 
-        // draw and do stuff that you need to do
-        // no matter the game state
-        this.ctx.drawImage(this.images.backgroundImage, 0, 0, this.canvas.width, this.canvas.height);
+        // draw how far we are towards the next step
+        this.draw(this.frame.accumulator / step);
 
-        // update score
-        this.overlay.setScore(this.state.score);
+        // draw the next screen
+        if (this.state.current === 'stop') {
+            this.cancelFrame();
+        } else {
+            this.requestFrame(() => this.play());
+        }
+    }
+
+    // update game characters
+    // runs once per tick, 60 times a second of play.
+    // the game rules are in game/simulation.js
+    update() {
 
         // ready to play
         if (this.state.current === 'ready') {
 
-            // display menu after loading or game over
-            if (this.state.prev.match(/loading|over/)) {
+            // display menu after loading, game over or a replay
+            if (this.state.prev.match(/loading|over|replay/)) {
                 this.overlay.hide('loading');
                 this.canvas.style.opacity = 1;
 
                 this.overlay.setBanner(this.config.settings.name);
                 this.overlay.setButton(this.config.settings.startText);
+
+                // daily mode needs the backend
+                if (this.daily) {
+                    this.overlay.setDaily(this.config.settings.dailyText || 'Daily Munch');
+                } else {
+                    this.overlay.hide('daily');
+                }
+
+                // watch the last run again
+                if (this.loadReplay()) {
+                    this.overlay.setReplay(this.config.settings.replayText || 'Watch Replay');
+                } else {
+                    this.overlay.hide('replay');
+                }
+                this.overlay.show('importReplay');
                 this.overlay.setInstructions({
                     desktop: this.config.settings.instructionsDesktop,
                     mobile: this.config.settings.instructionsMobile
@@ -329,223 +360,159 @@ class Game {
             // if last state was 'ready'
             // hide overlay items
             if (this.state.prev === 'ready') {
-                this.overlay.hide(['banner', 'button', 'instructions'])
-
-                this.setState({ current: 'play' });
-            }
-
-            if (!this.state.muted && this.playlist.length === 0) {
-                this.playback('backgroundMusic', this.sounds.backgroundMusic, { loop: true })
-            }
-
-
-            // add an obstacle
-            let munchTime = this.frame.count % 600 === 0;
-            let shouldAddObstacle = this.entities.length < 6; // less than some number of obstacles ( max is 6 )
-            if (munchTime || shouldAddObstacle) {
-                // pick a location
-                let location = {
-                    x: randomBetween(0, this.screen.right - this.obstacleSize.width, true),
-                    y: -200
-                };
+                this.overlay.hide(['banner', 'button', 'daily', 'replay', 'importReplay', 'instructions'])
+
+                // seed the run so it can be played again, daily runs
+                // all get the same seed and go to the day's own board
+                let isDaily = this.state.mode === 'daily' && this.daily;
+                let seed = isDaily ? this.daily.seed : this.seed;
+                this.state.seed = seed != null ? seed >>> 0 : createSeed();
+                this.state.board = isDaily ?
+                    this.daily.board :
+                    this.config.settings.leaderboardBoard || 'default';
+
+                // start a fresh run
+                this.sim = new Simulation({
+                    ctx: this.ctx,
+                    images: this.images,
+                    screen: this.screen,
+                    settings: this.settings,
+                    seed: this.state.seed
+                });
 
-                // ignore crowded locations
-                let inValidLocation = this.entities.some((ent) => {
-                    return getDistance(ent, location) < this.playerSize.width * 3;
+                // record it so it can be watched again
+                this.replay = new Replay({
+                    seed: this.state.seed,
+                    screen: { width: this.screen.right, height: this.screen.bottom },
+                    settings: this.settings
                 });
 
+                // get a run token for submitting the score
+                this.startSession();
 
-                // add food
-                if (!inValidLocation && !munchTime) {
-                    // add new obstacle
-                    let {foodImage1, foodImage2, foodImage3, foodImage4 } = this.images;
-                    let obstacleSize = resize({
-                        image: foodImage1,
-                        width: this.obstacleSize.width
-                    });
-
-                    this.entities.push(new Obstacle({
-                        ctx: this.ctx,
-                        type: 'food',
-                        image: pickFromList([foodImage1, foodImage2, foodImage3, foodImage4]),
-                        x: location.x,
-                        y: location.y,
-                        width: obstacleSize.width,
-                        height: obstacleSize.height,
-                        speed: this.state.gameSpeed,
-                        bounds: this.screen
-                    }))
-                }
+                this.analytics.startRun();
 
-                // munch time
-                if (!inValidLocation && munchTime) {
-                    // munch time
-                    let { weedImage } = this.images;
-                    let obstacleSize = resize({
-                        image: weedImage,
-                        width: this.obstacleSize.width
-                    });
-
-                    this.entities.push(new Obstacle({
-                        ctx: this.ctx,
-                        type: 'weed',
-                        image: weedImage,
-                        x: location.x,
-                        y: location.y,
-                        width: obstacleSize.width,
-                        height: obstacleSize.height,
-                        speed: this.state.gameSpeed,
-                        bounds: this.screen
-                    }))
-                }
+                this.setState({ current: 'play' });
             }
 
-            // update and draw effects
-            for (let i = 0; i < this.effects.length; i++) {
-                let effect = this.effects[i];
-
-                // run effect tick
-                effect.tick();
-
-                // remove in-active effects
-                if (!effect.active) {
-                    this.effects.splice(i, 1);
-                }
-                
+            if (!this.state.muted && this.playlist.length === 0) {
+                this.playback('backgroundMusic', this.sounds.backgroundMusic, { loop: true })
             }
 
-            for (let i = 0; i < this.entities.length; i++) {
-                let entity = this.entities[i];
-                let dx = Math.cos(this.frame.count / 60) / 6;
-
-                entity.move(dx, 1, this.frame.scale);
-                entity.draw();
-
-                // check for player collisions
-                if (collideDistance(entity, this.player)) {
-                    // handle collision
-                    entity.munch();
-                    
-                    // add points & increase game speed
-                    this.setState({
-                        score: this.state.score + 1
-                    });
-
-                    // eat
-                    if (entity.type === 'food') {
-                        this.player.eat();
-                        this.throttledPlayback('munchSound', this.sounds.munchSound);
-
-                        this.effects.push(
-                            new Burst({
-                                ctx: this.ctx,
-                                image: entity.image,
-                                n: 1,
-                                x: [this.player.x, this.player.x + this.player.width],
-                                y: [this.player.y, this.player.y + this.player.height],
-                                vx: [-5, 5],
-                                vy: [-10, 1],
-                                burnRate: 0.025
-                            })
-                        );
-                    }
-
-                    // blaze
-                    if (entity.type === 'weed') {
-                        this.player.blaze();
-                        this.throttledPlayback('clearSound', this.sounds.clearSound);
-
-                        this.effects.push(
-                            new Burst({
-                                ctx: this.ctx,
-                                image: entity.image,
-                                n: 20,
-                                x: [this.player.x, this.player.x + this.player.width],
-                                y: [this.player.y, this.player.y + this.player.height],
-                                vx: [-5, 5],
-                                vy: [-10, 1],
-                                burnRate: 0.01
-                            })
-                        );
-                    }
-
-                }
+            // move the game forward
+            this.replay.record(this.input);
+            let events = this.sim.step(this.input);
 
-                // remove in-active entity
-                if (entity.y > this.canvas.height || entity.munches > 5) {
-                    this.entities.splice(i, 1);
-                }
-                
+            // eat
+            if (events.includes('munch')) {
+                this.throttledPlayback('munchSound', this.sounds.munchSound);
             }
 
+            // blaze
+            if (events.includes('blaze')) {
+                this.throttledPlayback('clearSound', this.sounds.clearSound);
+            }
 
-            // check for game over
-            if (this.player.width > this.canvas.width / 2) {
-                // big explosion
-                this.effects.push(
-                    new Burst({
-                        ctx: this.ctx,
-                        image: this.images.weedImage,
-                        n: 200,
-                        x: [this.player.x, this.player.x + this.player.width],
-                        y: [this.player.y, this.player.y + this.player.height],
-                        vx: [-5, 5],
-                        vy: [-10, 1],
-                        burnRate: 0.01
-                    })
-                );
-
+            // game over
+            if (events.includes('over')) {
                 this.playback('gameOverSound', this.sounds.gameOverSound);
                 this.stopPlayback('backgroundMusic');
 
-                // game over
                 this.setState({ current: 'over' });
-            }
-
-            // player bounce
-            let dy = Math.cos(this.frame.count / 5) / 30;
 
-            // move player: open play
-            let { left, right } = this.input;
-            let dx = (left ? -1 : 0) + (right ? 1 : 0);
+                this.replay.score = this.sim.score;
+                this.saveReplay(this.replay);
 
-            // apply movement
-            this.player.move(dx, dy, this.frame.scale);
-            this.player.moveTo({
-                y: this.screen.bottom - this.player.height
-            }); 
-            this.player.draw();
+                this.analytics.endRun({
+                    score: this.sim.score,
+                    duration: this.sim.run.duration
+                });
+            }
         }
 
         // game over
         if (this.state.current === 'over') {
+            // let the explosion play out
+            this.sim.step(this.input);
+
+            // submit the score a second after the explosion
+            if (this.sim.ticks === this.sim.overAt + tickRate) {
+                window.setScore(this.sim.score, {
+                    session: this.state.session,
+                    board: this.state.board,
+                    run: this.sim.run
+                });
+                window.setAppView('setScore');
+            }
+
+        }
+
+        // watching a replay
+        if (this.state.current === 'replay') {
+
+            // if last state was 'ready'
+            // hide the menu and play the recorded run
+            if (this.state.prev === 'ready') {
+                this.overlay.hide(['banner', 'button', 'daily', 'replay', 'importReplay', 'instructions'])
+
+                this.replay.rewind();
+                this.sim = new Simulation({
+                    ctx: this.ctx,
+                    images: this.images,
+                    screen: createScreen(this.replay.screen.width, this.replay.screen.height),
+                    settings: this.replay.settings,
+                    seed: this.replay.seed
+                });
 
-            // update and draw effects
-            for (let i = 0; i < this.effects.length; i++) {
-                let effect = this.effects[i];
+                this.setState({ current: 'replay', replayPaused: false, replaySpeed: 1 });
+                this.overlay.setReplayControls({ paused: false, speed: 1 });
+            }
 
-                // run effect tick
-                effect.tick();
+            // feed the recorded input through the game rules,
+            // after it runs out nobody is pressing anything
+            if (!this.state.replayPaused) {
+                for (let i = 0; i < this.state.replaySpeed; i++) {
+                    // screen changes happen between the same ticks they did in the run
+                    this.replay.resizesAt(this.sim.ticks)
+                        .forEach(({ width, height }) => this.sim.resize(createScreen(width, height)));
 
-                // remove in-active effects
-                if (!effect.active) {
-                    this.effects.splice(i, 1);
+                    this.sim.step(this.replay.next() || { left: false, right: false });
                 }
-                
             }
 
-            setTimeout(() => {
-                window.setScore(this.state.score);
-                window.setAppView('setScore');
-            }, 1000);
+            // back to the menu a second after the run ends
+            let ended = this.sim.over ?
+                this.sim.ticks >= this.sim.overAt + tickRate :
+                this.replay.done;
 
+            if (ended) {
+                this.stopReplay();
+            }
         }
+    }
 
-        // draw the next screen
-        if (this.state.current === 'stop') {
-            this.cancelFrame();
-        } else {
-            this.requestFrame(() => this.play());
+    // draw the current state to the screen
+    // alpha is how far we are between the last tick and the next,
+    // moving sprites are drawn that far along so motion stays smooth
+    draw(alpha) {
+        // clear the screen of the last picture
+        this.ctx.fillStyle = this.config.colors.backgroundColor; 
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // draw and do stuff that you need to do
+        // no matter the game state
+        this.ctx.drawImage(this.images.backgroundImage, 0, 0, this.canvas.width, this.canvas.height);
+
+        // update score
+        this.overlay.setScore(this.sim ? this.sim.score : 0);
+
+        // effects, obstacles and player
+        // replays from other screen sizes are stretched to fit
+        if (this.sim && this.state.current.match(/play|over|replay/)) {
+            this.ctx.save();
+            this.ctx.scale(this.canvas.width / this.sim.screen.right, this.canvas.height / this.sim.screen.bottom);
+            this.sim.draw(alpha);
+            this.ctx.restore();
         }
     }
 
@@ -568,14 +535,48 @@ class Game {
         // button
         if ( target.id === 'button') {
 
-            this.setState({ current: 'play' });
+            this.setState({ current: 'play', mode: 'normal' });
+        }
+
+        // daily munch
+        if (target.id === 'daily' && this.daily) {
+
+            this.setState({ current: 'play', mode: 'daily' });
+        }
+
+        // replays
+        if (target.id === 'replay') {
+            this.startReplay(this.loadReplay());
+        }
+
+        if (target.id === 'importReplay') {
+            this.overlay.replayFile.click();
+        }
+
+        if (target.id === 'replayPause' && this.state.current === 'replay') {
+            this.setState({ replayPaused: !this.state.replayPaused });
+            this.overlay.setReplayControls({ paused: this.state.replayPaused, speed: this.state.replaySpeed });
+        }
+
+        if (target.id === 'replaySpeed' && this.state.current === 'replay') {
+            // cycle through 1x, 2x and 4x
+            this.setState({ replaySpeed: this.state.replaySpeed === 4 ? 1 : this.state.replaySpeed * 2 });
+            this.overlay.setReplayControls({ paused: this.state.replayPaused, speed: this.state.replaySpeed });
+        }
+
+        if (target.id === 'replayExport' && this.replay) {
+            this.exportReplay(this.replay);
+        }
+
+        if (target.id === 'replayExit' && this.state.current === 'replay') {
+            this.stopReplay();
         }
 
     }
 
     handleTap(type, e) {
         // ignore for first 1 second
-        if (this.frame.count < 60) { return; }
+        if (!this.sim || this.sim.ticks < tickRate) { return; }
 
         // shift right for right of player taps
         // shift left for left of player taps
@@ -625,19 +626,95 @@ class Game {
 
         // start game on read
         if (type === 'keydown' && this.state.current === 'ready') {
-            this.setState({ current: 'play' });
+            this.setState({ current: 'play', mode: 'normal' });
         }
 
         // reload on game over
         if (type === 'keydown' && this.state.current === 'over') {
-            this.effects.length === 1 && this.load();
+            this.sim.effects.length === 1 && this.load();
         }
 
     }
 
+    // fit the game to the new window size, the run keeps going
     handleResize() {
+        // the listeners outlive a destroyed game
+        if (!this.canvas) { return; }
 
-        // document.location.reload();
+        let { width, height } = this.canvas;
+        this.fitCanvas();
+
+        // orientationchange and resize both fire for one change
+        if (this.canvas.width === width && this.canvas.height === height) { return; }
+
+        this.screen = createScreen(this.canvas.width, this.canvas.height);
+
+        // replays keep the sizes they were recorded with
+        if (this.sim && this.state.current.match(/play|over/)) {
+            this.sim.resize(this.screen);
+        }
+
+        // and so do replays of this run
+        if (this.replay && this.state.current === 'play') {
+            this.replay.recordResize({ width: this.canvas.width, height: this.canvas.height });
+        }
+
+        // resizing clears the canvas, draw it again
+        // in case the game loop is paused
+        if (this.state.current !== 'loading') {
+            this.draw(this.frame.accumulator / step);
+        }
+    }
+
+    // size the canvas to the window, less the topbar
+    fitCanvas() {
+        this.canvas.width = window.innerWidth; // set game screen width
+        this.canvas.height = this.topbar.active ? window.innerHeight - this.topbar.clientHeight : window.innerHeight; // set game screen height
+    }
+
+    // method:fetchTuning
+    // get difficulty overrides from the backend. resolves to no
+    // overrides if it can't be reached in time, so the game
+    // silently falls back to its built-in settings
+    fetchTuning() {
+        const timeout = new Promise((resolve) => setTimeout(() => resolve({}), 3000));
+        const tuning = fetch(`${this.config.serviceMap.backend}/tuning`)
+        .then((response) => response.json())
+        .then(({ tuning }) => tuning || {})
+        .catch(() => ({}));
+
+        return Promise.race([tuning, timeout]);
+    }
+
+    // method:fetchDaily
+    // get today's daily munch seed and board, resolves
+    // to null when the backend can't be reached
+    fetchDaily() {
+        const timeout = new Promise((resolve) => setTimeout(() => resolve(null), 3000));
+        const daily = fetch(`${this.config.serviceMap.backend}/daily`)
+        .then((response) => response.json())
+        .then(({ success, seed, board }) => success ? { seed, board } : null)
+        .catch(() => null);
+
+        return Promise.race([daily, timeout]);
+    }
+
+    // method:startSession
+    // ask the backend for a signed run token, the leaderboard only
+    // accepts scores submitted with a token from this run, to its board
+    startSession() {
+        this.state.session = null;
+
+        fetch(`${this.config.serviceMap.backend}/session/start`, {
+            method: 'post',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ board: this.state.board })
+        })
+        .then((response) => response.json())
+        .then(({ session }) => {
+            this.state.session = session;
+        })
+        .catch(err => console.error(err));
     }
 
     // method:pause pause game
@@ -646,10 +723,11 @@ class Game {
 
         this.state.paused = !this.state.paused;
         this.overlay.setPause(this.state.paused);
+        this.analytics.track('pause', { paused: this.state.paused });
 
         if (this.state.paused) {
             // pause game loop
-            this.cancelFrame(this.frame.count - 1);
+            this.cancelFrame();
 
             // mute all game sounds
             this.audioCtx.suspend();
@@ -678,6 +756,7 @@ class Game {
         this.state.muted = localStorage.getItem(key) === 'true';
 
         this.overlay.setMute(this.state.muted);
+        this.analytics.track('mute', { muted: this.state.muted });
 
         if (this.state.muted) {
             // mute all game sounds
@@ -690,6 +769,80 @@ class Game {
         }
     }
 
+    // method:startReplay
+    // watch a recorded run from the menu
+    startReplay(replay) {
+        if (!replay || this.state.current !== 'ready') { return; }
+
+        this.replay = replay;
+        this.setState({ current: 'replay' });
+    }
+
+    // method:stopReplay
+    // go back to the menu
+    stopReplay() {
+        this.overlay.hide('replayControls');
+
+        this.sim = null;
+        this.replay = null;
+        this.setState({ current: 'ready' });
+    }
+
+    // method:saveReplay
+    // keep the last run to watch from the menu
+    saveReplay(replay) {
+        try {
+            localStorage.setItem(this.prefix.concat('replay'), JSON.stringify(replay));
+        } catch (err) {
+            console.error(err);
+        }
+    }
+
+    // method:loadReplay
+    // get the last run, null if there isn't one
+    loadReplay() {
+        let saved = localStorage.getItem(this.prefix.concat('replay'));
+        if (!saved) { return null; }
+
+        try {
+            return Replay.fromJSON(saved);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // method:exportReplay
+    // download a replay as a json file
+    exportReplay(replay) {
+        let blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        let url = URL.createObjectURL(blob);
+
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = `munchys-replay-${replay.seed}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // method:handleReplayFile
+    // watch a replay json file picked with the import button
+    handleReplayFile(e) {
+        let file = e.target.files[0];
+        e.target.value = ''; // pick the same file again next time
+        if (!file) { return; }
+
+        let reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.startReplay(Replay.fromJSON(reader.result));
+            } catch (err) {
+                console.error(err);
+            }
+        };
+        reader.readAsText(file);
+    }
+
     // method:playback
     playback(key, audioBuffer, options = {}) {
         if (this.state.muted) { return; }
@@ -750,20 +903,19 @@ class Game {
     // wraps requestAnimationFrame.
     // see game/helpers/animationframe.js for more information
     requestFrame(next, resumed) {
-        let now = Date.now();
-        this.frame = {
-            count: requestAnimationFrame(next),
-            time: now,
-            rate: resumed ? 0 : now - this.frame.time,
-            scale: this.screen.scale * this.frame.rate * 0.01
-        };
+        // time spent paused doesn't count
+        if (resumed) {
+            this.frame.time = Date.now();
+        }
+
+        this.frame.handle = requestAnimationFrame(next);
     }
 
     // cancel frame
     // wraps cancelAnimationFrame.
     // see game/helpers/animationframe.js for more information
     cancelFrame() {
-        cancelAnimationFrame(this.frame.count);
+        cancelAnimationFrame(this.frame.handle);
     }
 
     destroy() {
@@ -771,6 +923,9 @@ class Game {
         this.setState({ current: 'stop' })
         this.stopPlaylist();
 
+        // send any events still queued
+        this.analytics.destroy();
+
         // cleanup event listeners
         document.removeEventListener('keydown', this.handleKeyboardInput);
         document.removeEventListener('keyup', this.handleKeyboardInput);
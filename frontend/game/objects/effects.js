@@ -5,6 +5,12 @@
  *   This file contains effects for the game
  * 
  *   burst: get a particle burst
+ *
+ *   effects take an optional random function (see utils/random.js)
+ *   so seeded runs get the same effects every time
+ *
+ *   effects have a tick method that updates them once per game tick
+ *   and a draw method that draws them to the screen
  * 
  * What to Change:
  *   Add any new methods that don't fit anywhere else
@@ -20,42 +26,42 @@ import {
     valueOrRange
 } from '../utils/baseUtils.js';
 
-const imagePraticleEmitter = ({ n = 1, x = 0, y = 0, vx = 1, vy = 1, r = 0, rd = 50, image }) => {
+const imagePraticleEmitter = ({ n = 1, x = 0, y = 0, vx = 1, vy = 1, r = 0, rd = 50, image, random = Math.random }) => {
     return Array.apply(null, { length: n })
     .map(() => { return {
         image: image,
-        x: valueOrRange(x),
-        y: valueOrRange(y),
-        r: valueOrRange(r),
-        rd: valueOrRange(rd),
-        vx: valueOrRange(vx),
-        vy: valueOrRange(vy),
-        dr: pickFromList([1, -1])
+        x: valueOrRange(x, random),
+        y: valueOrRange(y, random),
+        r: valueOrRange(r, random),
+        rd: valueOrRange(rd, random),
+        vx: valueOrRange(vx, random),
+        vy: valueOrRange(vy, random),
+        dr: pickFromList([1, -1], random)
     }; });
 }
 
-const praticleEmitter = ({ n = 1, x = 0, y = 0, vx = 1, vy = 1, rd = 2, hue = 0, alpha = 1 }) => {
+const praticleEmitter = ({ n = 1, x = 0, y = 0, vx = 1, vy = 1, rd = 2, hue = 0, alpha = 1, random = Math.random }) => {
     return Array.apply(null, { length: n })
     .map(() => { return {
-        x: valueOrRange(x),
-        y: valueOrRange(y),
-        vx: valueOrRange(vx),
-        vy: valueOrRange(vy),
-        rd: valueOrRange(rd),
-        hue: valueOrRange(hue),
-        alpha: valueOrRange(alpha)
+        x: valueOrRange(x, random),
+        y: valueOrRange(y, random),
+        vx: valueOrRange(vx, random),
+        vy: valueOrRange(vy, random),
+        rd: valueOrRange(rd, random),
+        hue: valueOrRange(hue, random),
+        alpha: valueOrRange(alpha, random)
     }; });
 }
 
-const radialWaveEmitter = ({ n = 1, x = 0, y = 0, rd = 2, width = 50, hue = 0, alpha = 1 }) => {
+const radialWaveEmitter = ({ n = 1, x = 0, y = 0, rd = 2, width = 50, hue = 0, alpha = 1, random = Math.random }) => {
     return Array.apply(null, { length: n })
     .map(() => { return {
-        x: valueOrRange(x),
-        y: valueOrRange(y),
-        width: valueOrRange(width),
-        rd: valueOrRange(rd),
-        hue: valueOrRange(hue),
-        alpha: valueOrRange(alpha)
+        x: valueOrRange(x, random),
+        y: valueOrRange(y, random),
+        width: valueOrRange(width, random),
+        rd: valueOrRange(rd, random),
+        hue: valueOrRange(hue, random),
+        alpha: valueOrRange(alpha, random)
     }; });
 }
 
@@ -84,7 +90,7 @@ const drawWave = (ctx, w) => {
     ctx.stroke();
 }
 
-function Burst({ ctx, n = 10, image, x, y, vx, vy, burnRate }) {
+function Burst({ ctx, n = 10, image, x, y, vx, vy, burnRate, random = Math.random }) {
     this.id = Math.random().toString(16).slice(2);
     this.type = 'burst';
     this.active = true;
@@ -101,6 +107,7 @@ function Burst({ ctx, n = 10, image, x, y, vx, vy, burnRate }) {
         vx: vx || [-10, 10],
         vy: vy || [-10, 10],
         rd: [5, 20],
+        random: random
     });
 
     this.tick = () => {
@@ -129,20 +136,21 @@ function Burst({ ctx, n = 10, image, x, y, vx, vy, burnRate }) {
             if (shard.rd < 1) {
                 this.shards.splice(i, 1);
             }
-
-            // draw shard
-            drawImageParticle(this.ctx, shard);
         }
     }
+
+    this.draw = () => {
+        this.shards.forEach(shard => drawImageParticle(this.ctx, shard));
+    }
 }
 
-function BlastWave({ ctx, x, y, width = 50, color, burnRate = 100 }) {
+function BlastWave({ ctx, x, y, width = 50, color, burnRate = 100, random = Math.random }) {
     this.id = Math.random().toString(16).slice(2);
     this.type = 'blast-wave';
     this.active = true;
     this.ctx = ctx;
     this.center = { x, y };
-    this.burnRate = (Array.isArray(burnRate) ? randomBetween(burnRate[0], burnRate[1]) : burnRate) / 100;
+    this.burnRate = (Array.isArray(burnRate) ? randomBetween(burnRate[0], burnRate[1], false, random) : burnRate) / 100;
     this.color = {
         hex: color,
         rgb: colorConvert.hex.rgb(color),
@@ -155,7 +163,8 @@ function BlastWave({ ctx, x, y, width = 50, color, burnRate = 100 }) {
         rd: 25,
         width: width,
         hue: this.color.hsl[0],
-        alpha: 1
+        alpha: 1,
+        random: random
     })
 
     this.tick = () => {
@@ -172,7 +181,7 @@ function BlastWave({ ctx, x, y, width = 50, color, burnRate = 100 }) {
         for (let i = 0; i < this.waves.length; i++) {
             let wave = this.waves[i];
 
-            // draw waves
+            // grow and fade waves
             wave.rd += this.burnRate * 8;
             wave.width -= this.burnRate / 2;
             wave.hue -= this.burnRate / 2;
@@ -182,12 +191,13 @@ function BlastWave({ ctx, x, y, width = 50, color, burnRate = 100 }) {
             if (wave.width < 1) {
                 this.waves.splice(i, 1);
             }
-
-            // draw wave
-            drawWave(this.ctx, wave);
         }
 
     }
+
+    this.draw = () => {
+        this.waves.forEach(wave => drawWave(this.ctx, wave));
+    }
 }
 
 export {
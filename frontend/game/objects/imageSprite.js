@@ -22,13 +22,18 @@ class ImageSprite extends Sprite {
         this.image = options.image;
     }
 
-    draw() {
+    // alpha is how far to draw between the previous
+    // position and the current one (0 to 1)
+    draw(alpha = 1) {
+        let x = this.px + (this.x - this.px) * alpha;
+        let y = this.py + (this.y - this.py) * alpha;
+
         // save canvas context
         this.ctx.save();
 
         // code for flipping image to match direction
         let scaleX = this.direction === 'left' ? -1 : 1;
-        let xPosition = this.direction === 'left' ? -1 * this.x : this.x;
+        let xPosition = this.direction === 'left' ? -1 * x : x;
         let trX = this.direction === 'left' ? this.width : 0;
 
         this.ctx.translate(trX, 0);
@@ -37,7 +42,7 @@ class ImageSprite extends Sprite {
         // draw the image to canvas
         this.ctx.drawImage(this.image,
             xPosition >> 0,
-            this.y >> 0,
+            y >> 0,
             this.width,
             this.height);
 
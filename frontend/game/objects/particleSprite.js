@@ -21,8 +21,10 @@ class ParticleSprite extends Sprite {
         super(options);
         this.ctx = options.ctx;
 
-        this.r = randomBetween(2, 7, true);
-        this.hue = randomBetween(0, 60, true);
+        // use the game's random function when given one
+        let random = options.random || Math.random;
+        this.r = randomBetween(2, 7, true, random);
+        this.hue = randomBetween(0, 60, true, random);
     }
 
     draw() {
@@ -31,12 +31,20 @@ class Overlay {
         this.loading = node.querySelector('#loading');
         this.banner = node.querySelector('#banner');
         this.button = node.querySelector('#button');
+        this.daily = node.querySelector('#daily');
+        this.replay = node.querySelector('#replay');
         this.instructions = node.querySelector('#instructions');
 
         this.lives = node.querySelector('#lives');
         this.score = node.querySelector('#score');
         this.mute = node.querySelector('#mute');
         this.pause = node.querySelector('#pause');
+        this.importReplay = node.querySelector('#importReplay');
+        this.replayFile = node.querySelector('#replayFile');
+
+        this.replayControls = node.querySelector('#replayControls');
+        this.replayPause = node.querySelector('#replayPause');
+        this.replaySpeed = node.querySelector('#replaySpeed');
 
         this.styles = {};
     }
@@ -52,6 +60,24 @@ class Overlay {
         this.show('button');
     }
 
+    setDaily(message) {
+        // fix for safari
+        this.daily.innerHTML = `<span id="dailyspan">${message}</span>`;
+        this.show('daily');
+    }
+
+    setReplay(message) {
+        // fix for safari
+        this.replay.innerHTML = `<span id="replayspan">${message}</span>`;
+        this.show('replay');
+    }
+
+    setReplayControls({ paused, speed }) {
+        this.replayPause.textContent = paused ? 'play_arrow' : 'pause';
+        this.replaySpeed.textContent = `${speed}x`;
+        this.show('replayControls');
+    }
+
     setInstructions({ desktop, mobile }) {
         if( /Android|webOS|iPhone|iPad|iPod|BlackBerry/i.test(navigator.userAgent) ) {
             // show mobile instructions
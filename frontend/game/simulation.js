@@ -0,0 +1,450 @@
+/**
+ * game/simulation.js
+ *
+ * What it Does:
+ *   This file contains the game rules: the player, obstacles, effects,
+ *   score, and the game over check. it doesn't use the browser, the
+ *   screen, or sound, so it can also run in Node. eg. for gameplay tests,
+ *   bots, or checking replays on the server
+ *
+ *   Simulation: takes the images, screen, settings and a seed.
+ *   step moves the game forward one tick with the left and right input
+ *   and returns a list of what happened (munch, blaze, over) so the game
+ *   can play sounds. draw draws it, leave out ctx to run without drawing
+ *
+ *   resize fits a run to a new screen size without restarting it
+ *
+ *   createScreen: get the screen boundaries and scale for a width and height
+ *
+ *   in Node the images only need a width and height
+ *
+ * What to Change:
+ *   Change the game rules here
+ *   eg. how many obstacles fall at once
+ *
+ */
+
+import {
+    randomBetween,
+    bounded,
+    pickFromList
+} from './utils/baseUtils.js';
+
+import {
+    createRandom
+} from './utils/random.js';
+
+import {
+    resize
+} from './utils/imageUtils.js';
+
+import {
+    getDistance,
+    collideDistance
+} from './utils/spriteUtils.js';
+
+import {
+    Burst
+} from './objects/effects.js';
+
+import Player from './characters/player.js';
+import Obstacle from './characters/obstacle.js';
+
+// game ticks per second, the game always updates
+// at this rate no matter how often the screen draws
+const tickRate = 60;
+const step = 1000 / tickRate;
+
+// get screen boundaries and scale
+const createScreen = (width, height) => {
+    return {
+        top: 0,
+        bottom: height,
+        left: 0,
+        right: width,
+        centerX: width / 2,
+        centerY: height / 2,
+        scale: ((width + height) / 2) / 1000,
+        scaleWidth: (width / 2) / 1000,
+        scaleHeight: (height / 2) / 1000,
+        minSize: ((width + height) / 2) / 20,
+        maxSize: ((width + height) / 2) / 10
+    };
+}
+
+// resize a sprite and move it around its new center
+// without it sliding there when drawn
+const place = (sprite, { cx, cy, width, height }) => {
+    sprite.width = width;
+    sprite.height = height;
+    sprite.radius = (width + height) / 4;
+
+    sprite.setX(cx - width / 2);
+    sprite.setY(cy - height / 2);
+    sprite.px = sprite.x;
+    sprite.py = sprite.y;
+}
+
+class Simulation {
+    constructor({ ctx = null, images, screen, settings, seed }) {
+        this.ctx = ctx; // null when running without drawing
+        this.images = images;
+        this.screen = screen;
+        this.settings = settings;
+
+        // every random choice comes from the seed. spawns and effects
+        // get their own streams, so effects never change what spawns
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.effectsRandom = createRandom(this.seed ^ 0x9e3779b9);
+
+        // how far things move each tick, relative to screen size
+        this.scale = this.screen.scale * step * 0.01;
+
+        this.ticks = 0; // ticks played this run
+        this.score = 0;
+        this.over = false;
+        this.overAt = null; // tick the player burst on
+        this.run = { duration: 0, foods: 0, blazes: 0, peakSize: 0 };
+
+        this.effects = []; // effects
+        this.entities = []; // entities (obstacles, powerups)
+
+        this.create();
+    }
+
+    create() {
+        // create game characters
+        const { top } = this.screen;
+        const {
+            dizzyFaceImage,
+            happyFaceImage,
+            hungryFaceImage,
+            fullFaceImage,
+            sickFaceImage
+        } = this.images;
+
+        this.setSizes();
+
+        let playerX = this.screen.centerX;
+
+        this.player = new Player({
+            ctx: this.ctx,
+            image: dizzyFaceImage,
+            images: [
+                dizzyFaceImage,
+                happyFaceImage,
+                hungryFaceImage,
+                fullFaceImage,
+                sickFaceImage,
+            ],
+            x: playerX,
+            y: top,
+            width: this.playerSize.width,
+            height: this.playerSize.height,
+            maxWidth: this.screen.right * this.settings.gameOverThreshold,
+            speed: this.playerSize.width,
+            bounds: this.screen
+        });
+    }
+
+    // set player and obstacle sizes for the screen
+    setSizes() {
+        let playerWidth = bounded(this.settings.playerSize * this.screen.scaleHeight, this.screen.minSize, this.screen.maxSize);
+        this.playerSize = resize({
+            image: this.images.dizzyFaceImage,
+            width: playerWidth
+        });
+
+        let obstacleWidthOpen = bounded(this.settings.obstacleSize * this.screen.scaleHeight, this.screen.minSize, this.screen.maxSize);
+        this.obstacleSize = resize({
+            image: this.images.foodImage1,
+            width: obstacleWidthOpen
+        });
+    }
+
+    // fit the run to a new screen, eg. after rotating a phone.
+    // sizes change the same way they would for a run started on the
+    // new screen, everything keeps its place relative to the screen,
+    // and the player stays just as close to bursting
+    resize(screen) {
+        let sx = screen.right / this.screen.right;
+        let sy = screen.bottom / this.screen.bottom;
+        let obstacleWidth = this.obstacleSize.width;
+
+        this.screen = screen;
+        this.scale = this.screen.scale * step * 0.01;
+        this.setSizes();
+
+        // player
+        let player = this.player;
+        let grown = player.width - player.originalWidth; // eaten since the last blaze
+        let room = player.maxWidth - player.originalWidth;
+
+        player.originalWidth = this.playerSize.width;
+        player.originalHeight = this.playerSize.height;
+        player.maxWidth = this.screen.right * this.settings.gameOverThreshold;
+        player.speed = this.playerSize.width;
+
+        if (room > 0) {
+            grown = grown * (player.maxWidth - player.originalWidth) / room;
+        }
+
+        player.setBounds(this.screen);
+        place(player, {
+            cx: player.cx * sx,
+            cy: player.cy * sy,
+            width: player.originalWidth + grown,
+            height: player.originalHeight + grown
+        });
+        player.update();
+
+        // obstacles
+        let k = this.obstacleSize.width / obstacleWidth;
+        this.entities.forEach((entity) => {
+            let cx = entity.cx * sx;
+            let cy = entity.cy * sy;
+            let width = entity.width * k;
+            let height = entity.height * k;
+
+            // obstacle bounds depend on their height, so set it first
+            entity.height = height;
+            entity.setBounds(this.screen);
+            place(entity, { cx, cy, width, height });
+        });
+    }
+
+    // move the game forward one tick
+    // returns the events that happened this tick
+    step({ left, right }) {
+        let events = [];
+
+        this.ticks += 1;
+
+        // after game over only the effects keep going
+        if (this.over) {
+            this.updateEffects();
+            return events;
+        }
+
+        // pick where the next obstacle would go and what it looks like.
+        // this happens every tick, spawn or not, so the same tick always
+        // gets the same spawn whatever the player did before
+        let { foodImage1, foodImage2, foodImage3, foodImage4 } = this.images;
+        let location = {
+            x: randomBetween(0, this.screen.right - this.obstacleSize.width, true, this.random),
+            y: -200
+        };
+        let foodImage = pickFromList([foodImage1, foodImage2, foodImage3, foodImage4], this.random);
+
+        // add an obstacle
+        let munchTime = this.ticks % this.settings.spawnInterval === 0;
+        let shouldAddObstacle = this.entities.length < 6; // less than some number of obstacles ( max is 6 )
+        if (munchTime || shouldAddObstacle) {
+
+            // ignore crowded locations
+            let inValidLocation = this.entities.some((ent) => {
+                return getDistance(ent, location) < this.playerSize.width * 3;
+            });
+
+
+            // add food
+            if (!inValidLocation && !munchTime) {
+                // add new obstacle
+                let obstacleSize = resize({
+                    image: foodImage1,
+                    width: this.obstacleSize.width
+                });
+
+                this.entities.push(new Obstacle({
+                    ctx: this.ctx,
+                    type: 'food',
+                    image: foodImage,
+                    x: location.x,
+                    y: location.y,
+                    width: obstacleSize.width,
+                    height: obstacleSize.height,
+                    speed: this.settings.gameSpeed,
+                    bounds: this.screen
+                }))
+            }
+
+            // munch time
+            if (!inValidLocation && munchTime) {
+                // munch time
+                let { weedImage } = this.images;
+                let obstacleSize = resize({
+                    image: weedImage,
+                    width: this.obstacleSize.width
+                });
+
+                this.entities.push(new Obstacle({
+                    ctx: this.ctx,
+                    type: 'weed',
+                    image: weedImage,
+                    x: location.x,
+                    y: location.y,
+                    width: obstacleSize.width,
+                    height: obstacleSize.height,
+                    speed: this.settings.gameSpeed,
+                    bounds: this.screen
+                }))
+            }
+        }
+
+        // update effects
+        this.updateEffects();
+
+        for (let i = 0; i < this.entities.length; i++) {
+            let entity = this.entities[i];
+            let dx = Math.cos(this.ticks / 60) / 6;
+
+            entity.move(dx, 1, this.scale);
+
+            // check for player collisions
+            if (collideDistance(entity, this.player)) {
+                // handle collision
+                entity.munch();
+
+                // add points
+                this.score += 1;
+
+                // an obstacle scores on every tick it's munched,
+                // but only counts once in the run summary
+                let firstMunch = entity.munches === 1;
+
+                // eat
+                if (entity.type === 'food') {
+                    this.player.eat();
+                    if (firstMunch) { this.run.foods += 1; }
+                    this.run.peakSize = Math.max(
+                        this.run.peakSize,
+                        Math.min(Math.round(this.player.width / this.player.maxWidth * 100), 100)
+                    );
+                    events.push('munch');
+
+                    this.effects.push(
+                        new Burst({
+                            ctx: this.ctx,
+                            image: entity.image,
+                            n: 1,
+                            x: [this.player.x, this.player.x + this.player.width],
+                            y: [this.player.y, this.player.y + this.player.height],
+                            vx: [-5, 5],
+                            vy: [-10, 1],
+                            burnRate: 0.025,
+                            random: this.effectsRandom
+                        })
+                    );
+                }
+
+                // blaze
+                if (entity.type === 'weed') {
+                    this.player.blaze();
+                    if (firstMunch) { this.run.blazes += 1; }
+                    events.push('blaze');
+
+                    this.effects.push(
+                        new Burst({
+                            ctx: this.ctx,
+                            image: entity.image,
+                            n: 20,
+                            x: [this.player.x, this.player.x + this.player.width],
+                            y: [this.player.y, this.player.y + this.player.height],
+                            vx: [-5, 5],
+                            vy: [-10, 1],
+                            burnRate: 0.01,
+                            random: this.effectsRandom
+                        })
+                    );
+                }
+
+            }
+
+            // remove in-active entity
+            if (entity.y > this.screen.bottom || entity.munches > 5) {
+                this.entities.splice(i, 1);
+            }
+
+        }
+
+
+        // check for game over
+        if (this.player.width > this.player.maxWidth) {
+            // big explosion
+            this.effects.push(
+                new Burst({
+                    ctx: this.ctx,
+                    image: this.images.weedImage,
+                    n: 200,
+                    x: [this.player.x, this.player.x + this.player.width],
+                    y: [this.player.y, this.player.y + this.player.height],
+                    vx: [-5, 5],
+                    vy: [-10, 1],
+                    burnRate: 0.01,
+                    random: this.effectsRandom
+                })
+            );
+
+            // time played, in seconds of game time
+            this.run.duration = Math.round(this.ticks / tickRate);
+
+            this.over = true;
+            this.overAt = this.ticks;
+            events.push('over');
+        }
+
+        // player bounce
+        let dy = Math.cos(this.ticks / 5) / 30;
+
+        // move player: open play
+        let dx = (left ? -1 : 0) + (right ? 1 : 0);
+
+        // apply movement
+        this.player.move(dx, dy, this.scale);
+        this.player.moveTo({
+            y: this.screen.bottom - this.player.height
+        });
+
+        return events;
+    }
+
+    // run effect ticks and remove in-active effects
+    updateEffects() {
+        for (let i = 0; i < this.effects.length; i++) {
+            let effect = this.effects[i];
+
+            // run effect tick
+            effect.tick();
+
+            // remove in-active effects
+            if (!effect.active) {
+                this.effects.splice(i, 1);
+            }
+
+        }
+    }
+
+    // draw effects, obstacles and player
+    // alpha is how far we are between the last tick and the next
+    draw(alpha) {
+        // nothing to draw on
+        if (!this.ctx) { return; }
+
+        this.effects.forEach(effect => effect.draw());
+
+        // the player is gone after game over
+        if (!this.over) {
+            this.entities.forEach(entity => entity.draw(alpha));
+            this.player.draw(alpha);
+        }
+    }
+}
+
+export default Simulation;
+
+export {
+    tickRate,
+    step,
+    createScreen
+};
@@ -5,6 +5,12 @@
  *   This file contains utilities for the game
  * 
  *   randomBetween: get a numbers a min and a max, optionally ask for an int
+ *   and pass a seeded random function (see utils/random.js) to use instead of Math.random
+ * 
+ *   pickFromList: pick a random element from a list, also takes a random function
+ *
+ *   valueOrRange: pass a value to get it back or a [min, max] range
+ *   to get a random int from it, also takes a random function
  * 
  *   bounded: apply a lower and upper bound to a number
  *   useful for add limits to AI character movements
@@ -28,21 +34,21 @@
  */
 
 // get random number between min and max
-const randomBetween = (min, max, int = false) => {
-    const rand = Math.random() * (max - min) + min;
+const randomBetween = (min, max, int = false, random = Math.random) => {
+    const rand = random() * (max - min) + min;
     return int ? Math.round(rand) : rand;
 }
 
 // pass either a value or a range and get a value
-const valueOrRange = (vr) => {
-    return Array.isArray(vr) ? randomBetween(vr[0], vr[1], true) : vr;
+const valueOrRange = (vr, random = Math.random) => {
+    return Array.isArray(vr) ? randomBetween(vr[0], vr[1], true, random) : vr;
 }
 
 // pick random element from a list
-const pickFromList = (list) => {
+const pickFromList = (list, random = Math.random) => {
     if (!Array.isArray(list) || list.length < 1) { return; }
 
-    let index = randomBetween(0, list.length - 1, 'int');
+    let index = randomBetween(0, list.length - 1, 'int', random);
     return list[index];
 }
 
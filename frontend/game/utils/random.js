@@ -0,0 +1,41 @@
+/**
+ * game/utils/random.js
+ *
+ * What it Does:
+ *   This file contains a seeded random number generator
+ *
+ *   createRandom: takes a 32 bit integer seed and returns a function that
+ *   works like Math.random, numbers between 0 and 1, except the same seed
+ *   always gives the same numbers in the same order.
+ *   useful for giving every player the same game, eg. the Daily Munch
+ *
+ *   createSeed: pick a new random 32 bit seed
+ *
+ * What to Change:
+ *   Nothing, pass the function it returns to randomBetween or pickFromList
+ *
+ * Learn more:
+ *   https://en.wikipedia.org/wiki/Pseudorandom_number_generator
+ *
+ */
+
+// mulberry32, small and fast with a good enough spread for games
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// a fresh seed for a run that doesn't have one
+const createSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+export {
+    createRandom,
+    createSeed
+};
@@ -0,0 +1,183 @@
+/**
+ * test/simulation.test.js
+ *
+ * What it Does:
+ *   Checks the game rules in game/simulation.js without a browser.
+ *   runs are played with scripted input on a fixed screen, the images
+ *   only need a width and height. runs with the same seed and input,
+ *   and replays of a run (game/helpers/replay.js), have to play the same
+ *
+ *   run with: npm test
+ *
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import Simulation, { createScreen } from '../game/simulation.js';
+import Replay from '../game/helpers/replay.js';
+
+const imageNames = [
+    'dizzyFaceImage',
+    'happyFaceImage',
+    'hungryFaceImage',
+    'fullFaceImage',
+    'sickFaceImage',
+    'foodImage1',
+    'foodImage2',
+    'foodImage3',
+    'foodImage4',
+    'weedImage'
+];
+
+// every image is its own object, so spawns can be told apart by image
+const images = {};
+imageNames.forEach((name) => {
+    images[name] = { name, width: 100, height: 120 };
+});
+
+// the built-in settings, as the game reads them
+const settings = {
+    playerSize: 150,
+    obstacleSize: 150,
+    spawnInterval: 600,
+    gameOverThreshold: 0.5,
+    gameSpeed: 50
+};
+
+// play and record a run, input is called with the tick number and
+// resizes has screen sizes to switch to before a tick, the way the game
+// does it. returns the simulation, the replay, and every obstacle
+// spawned, by tick
+const play = ({ seed, input, ticks, resizes = {} }) => {
+    let screen = { width: 400, height: 700 };
+    let sim = new Simulation({ images, screen: createScreen(screen.width, screen.height), settings, seed });
+    let replay = new Replay({ seed, screen, settings });
+    let seen = new Set();
+    let spawns = new Map();
+
+    for (let i = 0; i < ticks && !sim.over; i++) {
+        let size = resizes[sim.ticks];
+        if (size) {
+            sim.resize(createScreen(size.width, size.height));
+            replay.recordResize(size);
+        }
+
+        let tickInput = input(sim.ticks + 1);
+        replay.record(tickInput);
+        sim.step(tickInput);
+
+        sim.entities
+        .filter(entity => !seen.has(entity))
+        .forEach((entity) => {
+            seen.add(entity);
+            spawns.set(sim.ticks, { type: entity.type, image: entity.image.name, x: entity.x });
+        });
+    }
+
+    replay.score = sim.score;
+
+    return { sim, replay, spawns };
+};
+
+// play a replay back the way the game does
+const playBack = (replay) => {
+    let { width, height } = replay.screen;
+    let sim = new Simulation({ images, screen: createScreen(width, height), settings: replay.settings, seed: replay.seed });
+
+    while (!replay.done) {
+        replay.resizesAt(sim.ticks)
+            .forEach(size => sim.resize(createScreen(size.width, size.height)));
+
+        sim.step(replay.next());
+    }
+
+    return sim;
+};
+
+// hold a direction for a while, then switch
+const sweep = length => tick => {
+    let right = Math.floor(tick / length) % 2 === 0;
+    return { left: !right, right };
+};
+
+test('the same seed and input play the same run', () => {
+    let a = play({ seed: 7, input: sweep(60), ticks: 3000 });
+    let b = play({ seed: 7, input: sweep(60), ticks: 3000 });
+
+    assert.ok(a.sim.over);
+    assert.ok(a.sim.score > 0);
+    assert.strictEqual(b.sim.ticks, a.sim.ticks);
+    assert.strictEqual(b.sim.score, a.sim.score);
+    assert.deepStrictEqual(b.sim.run, a.sim.run);
+    assert.deepStrictEqual(b.spawns, a.spawns);
+});
+
+test('another seed plays another run', () => {
+    let a = play({ seed: 7, input: sweep(60), ticks: 3000 });
+    let b = play({ seed: 8, input: sweep(60), ticks: 3000 });
+
+    assert.notDeepStrictEqual(b.spawns, a.spawns);
+});
+
+test('a replay plays back the same run', () => {
+    let { sim, replay } = play({
+        seed: 1234,
+        input: sweep(75),
+        ticks: 3000,
+        resizes: { 400: { width: 700, height: 400 }, 900: { width: 400, height: 700 } }
+    });
+
+    // through JSON, like an exported replay
+    let loaded = Replay.fromJSON(JSON.stringify(replay));
+    let played = playBack(loaded);
+
+    assert.ok(sim.over);
+    assert.strictEqual(played.ticks, sim.ticks);
+    assert.strictEqual(played.score, loaded.score);
+    assert.strictEqual(played.score, sim.score);
+    assert.deepStrictEqual(played.run, sim.run);
+});
+
+test('a changed replay is turned away', () => {
+    let { replay } = play({ seed: 1234, input: sweep(75), ticks: 600 });
+    let data = replay.toJSON();
+
+    assert.throws(() => Replay.fromJSON({ ...data, ticks: data.ticks + 1 }), /damaged/);
+    assert.throws(() => Replay.fromJSON({ ...data, version: 0 }), /another version/);
+    assert.throws(() => Replay.fromJSON({ ...data, settings: { ...data.settings, spawnInterval: undefined } }), /damaged/);
+    assert.throws(() => Replay.fromJSON({ ...data, settings: { ...data.settings, gameOverThreshold: 0 } }), /damaged/);
+});
+
+test('a tick that spawns in two runs of a seed spawns the same obstacle', () => {
+    let a = play({ seed: 42, input: sweep(40), ticks: 3000 });
+    let b = play({ seed: 42, input: sweep(90), ticks: 3000 });
+
+    // the two runs munch different obstacles
+    assert.notDeepStrictEqual(a.sim.run, b.sim.run);
+
+    // so they spawn on some different ticks (when an obstacle spawns
+    // depends on how many are left), but a tick that spawns in both
+    // always spawns the same obstacle in the same place
+    let shared = Array.from(a.spawns.keys()).filter(tick => b.spawns.has(tick));
+    assert.ok(shared.length > 6);
+    shared.forEach((tick) => {
+        assert.deepStrictEqual(a.spawns.get(tick), b.spawns.get(tick), `spawn on tick ${tick}`);
+    });
+});
+
+test('tall obstacles fall off the screen', () => {
+    // sizes are capped by the screen, so this needs a big one
+    let sim = new Simulation({ images, screen: createScreen(2000, 3000), settings: { ...settings, obstacleSize: 1000 }, seed: 3 });
+
+    // keep the player out of the way in the left corner
+    let gone = false;
+    for (let i = 0; i < 3000 && !gone; i++) {
+        let first = sim.entities[0];
+        sim.step({ left: true, right: false });
+        gone = first !== undefined && !sim.entities.includes(first) && first.munches === 0;
+    }
+
+    assert.ok(sim.obstacleSize.height >= 200);
+    assert.ok(gone);
+});